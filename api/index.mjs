@@ -16,6 +16,10 @@ import sprintRoutes from '../routes/sprintRoutes.js';
 import aiRoutes from '../routes/aiRoutes.js';
 import analyticsRoutes from '../routes/analyticsRoutes.js';
 import notificationRoutes from '../routes/notificationRoutes.js';
+import activityRoutes from '../routes/activityRoutes.js';
+import searchRoutes from '../routes/searchRoutes.js';
+import timesheetRoutes from '../routes/timesheetRoutes.js';
+import cronRoutes from '../routes/cronRoutes.js';
 
 // Load env
 dotenv.config();
@@ -28,7 +32,11 @@ console.log('Routes imported:', {
   sprints: !!sprintRoutes,
   ai: !!aiRoutes,
   analytics: !!analyticsRoutes,
-  notifications: !!notificationRoutes
+  notifications: !!notificationRoutes,
+  activity: !!activityRoutes,
+  search: !!searchRoutes,
+  worklogs: !!timesheetRoutes,
+  cron: !!cronRoutes
 });
 
 const app = express();
@@ -98,7 +106,10 @@ app.get('/', (req, res) => {
       sprints: '/api/sprints',
       ai: '/api/ai',
       analytics: '/api/analytics',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      activity: '/api/activity',
+      search: '/api/search',
+      worklogs: '/api/worklogs'
     }
   });
 });
@@ -153,6 +164,14 @@ app.use('/api/analytics', analyticsRoutes);
 console.log('✓ Analytics routes registered');
 app.use('/api/notifications', notificationRoutes);
 console.log('✓ Notification routes registered');
+app.use('/api/activity', activityRoutes);
+console.log('✓ Activity routes registered');
+app.use('/api/search', searchRoutes);
+console.log('✓ Search routes registered');
+app.use('/api/worklogs', timesheetRoutes);
+console.log('✓ Worklog routes registered');
+app.use('/api/cron', cronRoutes);
+console.log('✓ Cron routes registered');
 console.log('✅ All routes registered successfully');
 
 // 404 handler
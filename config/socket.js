@@ -1,7 +1,48 @@
 import { Server } from 'socket.io';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import { getUserFromToken } from '../middleware/auth.js';
 
 let io;
 
+/**
+ * Read the JWT from the handshake (`auth.token` or a Bearer Authorization header)
+ */
+const getHandshakeToken = (socket) => {
+  const { auth, headers } = socket.handshake;
+
+  if (auth && auth.token) {
+    return auth.token.replace(/^Bearer\s+/i, '');
+  }
+
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a user belongs to an active project
+ */
+const canJoinProject = async (projectId, userId) => {
+  if (!mongoose.isValidObjectId(projectId)) {
+    return false;
+  }
+
+  const project = await Project.findById(projectId).select('createdBy members isActive');
+  if (!project || !project.isActive) {
+    return false;
+  }
+
+  const isMember = project.members.some(
+    member => member.user.toString() === userId
+  );
+  const isCreator = project.createdBy.toString() === userId;
+
+  return isMember || isCreator;
+};
+
 /**
  * Initialize Socket.IO
  */
@@ -14,19 +55,60 @@ export const initSocket = (server) => {
     }
   });
 
+  // Authenticate every connection with the same JWT used by the REST API
+  io.use(async (socket, next) => {
+    const token = getHandshakeToken(socket);
+
+    if (!token) {
+      return next(new Error('Not authorized. Please log in.'));
+    }
+
+    try {
+      const user = await getUserFromToken(token);
+
+      if (!user) {
+        return next(new Error('User not found or inactive'));
+      }
+
+      socket.user = user;
+      next();
+    } catch (error) {
+      next(new Error('Invalid or expired token. Please log in again.'));
+    }
+  });
+
   io.on('connection', (socket) => {
-    console.log(`✅ Client connected: ${socket.id}`);
+    console.log(`✅ Client connected: ${socket.id} (user ${socket.user.id})`);
 
-    // Join project room
-    socket.on('join-project', (projectId) => {
-      socket.join(`project-${projectId}`);
-      console.log(`User ${socket.id} joined project ${projectId}`);
+    // Personal room for notifications
+    socket.join(`user-${socket.user.id}`);
+
+    // Join project room (members only)
+    socket.on('join-project', async (projectId, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        if (!(await canJoinProject(projectId, socket.user.id))) {
+          socket.emit('join-project-error', {
+            projectId,
+            message: 'You do not have access to this project'
+          });
+          return respond({ success: false, message: 'You do not have access to this project' });
+        }
+
+        socket.join(`project-${projectId}`);
+        console.log(`User ${socket.user.id} joined project ${projectId}`);
+        respond({ success: true });
+      } catch (error) {
+        console.error('Error joining project room:', error);
+        respond({ success: false, message: 'Could not join project' });
+      }
     });
 
     // Leave project room
     socket.on('leave-project', (projectId) => {
       socket.leave(`project-${projectId}`);
-      console.log(`User ${socket.id} left project ${projectId}`);
+      console.log(`User ${socket.user.id} left project ${projectId}`);
     });
 
     // Handle disconnect
@@ -49,29 +131,68 @@ export const getIO = () => {
 };
 
 /**
- * Emit task update to project room
+ * Emit an event to a project room with the common payload shape:
+ * { action, actor, timestamp, ...data }
  */
-export const emitTaskUpdate = (projectId, task, action = 'update') => {
-  if (io) {
-    io.to(`project-${projectId}`).emit('task-updated', {
+const emitToProject = (projectId, event, action, data, actor = null) => {
+  if (io && projectId) {
+    io.to(`project-${projectId}`).emit(event, {
       action,
-      task,
+      ...data,
+      actor: actor ? { _id: actor._id, name: actor.name } : null,
       timestamp: new Date()
     });
   }
 };
 
+/**
+ * Emit task update to project room
+ */
+export const emitTaskUpdate = (projectId, task, action = 'update', actor = null) => {
+  emitToProject(projectId, 'task-updated', action, { task }, actor);
+};
+
+/**
+ * Emit a task past its due date (action 'overdue') or escalated to the project managers
+ * (action 'escalated') to project room
+ */
+export const emitTaskOverdue = (projectId, task, action = 'overdue') => {
+  emitToProject(projectId, 'task-overdue', action, { task }, null);
+};
+
+/**
+ * Emit new task positions/statuses after a bulk reorder to project room
+ */
+export const emitTasksReordered = (projectId, tasks, actor = null) => {
+  emitToProject(projectId, 'tasks-reordered', 'reorder', { tasks }, actor);
+};
+
+/**
+ * Emit comment change on a task to project room
+ */
+export const emitCommentUpdate = (projectId, taskId, comment, action = 'create', actor = null) => {
+  emitToProject(projectId, 'comment-updated', action, { taskId, comment }, actor);
+};
+
+/**
+ * Emit sprint update to project room
+ */
+export const emitSprintUpdate = (projectId, sprint, action = 'update', actor = null) => {
+  emitToProject(projectId, 'sprint-updated', action, { sprint }, actor);
+};
+
 /**
  * Emit project update to project room
  */
-export const emitProjectUpdate = (projectId, project, action = 'update') => {
-  if (io) {
-    io.to(`project-${projectId}`).emit('project-updated', {
-      action,
-      project,
-      timestamp: new Date()
-    });
-  }
+export const emitProjectUpdate = (projectId, project, action = 'update', actor = null) => {
+  emitToProject(projectId, 'project-updated', action, { project }, actor);
+};
+
+/**
+ * Emit a timer started or stopped on a task to project room
+ */
+export const emitTimerUpdate = (projectId, timer, action = 'start', actor = null) => {
+  emitToProject(projectId, 'timer-updated', action, { timer }, actor);
 };
 
 /**
@@ -79,11 +200,32 @@ export const emitProjectUpdate = (projectId, project, action = 'update') => {
  */
 export const emitNotification = (userId, notification) => {
   if (io) {
-    io.emit(`notification-${userId}`, {
+    io.to(`user-${userId}`).emit('notification', {
       ...notification,
       timestamp: new Date()
     });
   }
 };
 
-export default { initSocket, getIO, emitTaskUpdate, emitProjectUpdate, emitNotification };
+/**
+ * Remove all of a user's sockets from a project room (e.g. after removal from the project)
+ */
+export const removeUserFromProject = (userId, projectId) => {
+  if (io) {
+    io.in(`user-${userId}`).socketsLeave(`project-${projectId}`);
+  }
+};
+
+export default {
+  initSocket,
+  getIO,
+  emitTaskUpdate,
+  emitTaskOverdue,
+  emitTasksReordered,
+  emitCommentUpdate,
+  emitSprintUpdate,
+  emitProjectUpdate,
+  emitTimerUpdate,
+  emitNotification,
+  removeUserFromProject
+};
@@ -0,0 +1,84 @@
+import Activity from '../models/Activity.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+/**
+ * Parse page/limit query parameters for activity feeds
+ */
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * @desc    Get activity feed for a project
+ * @route   GET /api/projects/:id/activity
+ * @access  Private
+ */
+export const getProjectActivity = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const query = { project: req.project._id };
+
+  const [activities, total] = await Promise.all([
+    Activity.find(query)
+      .populate('user', 'name email avatar')
+      .populate('task', 'title status')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    Activity.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: activities.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: activities
+  });
+});
+
+/**
+ * @desc    Get activity performed by the current user
+ * @route   GET /api/activity/me
+ * @access  Private
+ */
+export const getMyActivity = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const query = { user: req.user.id };
+
+  const [activities, total] = await Promise.all([
+    Activity.find(query)
+      .populate('project', 'name')
+      .populate('task', 'title status')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    Activity.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: activities.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: activities
+  });
+});
+
+// @desc    Record an activity entry (helper function)
+export const logActivity = async (userId, type, description, project = null, task = null) => {
+  try {
+    await Activity.create({
+      user: userId,
+      type,
+      description,
+      project,
+      task
+    });
+  } catch (error) {
+    console.error('Error logging activity:', error);
+  }
+};
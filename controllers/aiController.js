@@ -1,9 +1,13 @@
 import axios from 'axios';
+import mongoose from 'mongoose';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import Task from '../models/Task.js';
 import Project from '../models/Project.js';
 import Sprint from '../models/Sprint.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { getWorkflow, getDoneStatuses, getStatusesInCategory } from '../utils/workflow.js';
+import { findBlockedChains } from '../utils/taskLinks.js';
+import { getCapacityBreakdown } from '../utils/sprintStats.js';
 
 /**
  * AI Service to interact with AI API (OpenAI or Gemini)
@@ -137,11 +141,11 @@ const aiService = new AIService();
 
 /**
  * @desc    Generate tasks from project description
- * @route   POST /api/ai/generate-tasks
- * @access  Private (Project Manager only)
+ * @route   POST /api/ai/generate-tasks  { projectId, projectDescription }
+ * @access  Private (Owner or Project Manager of the project)
  */
 export const generateTasks = asyncHandler(async (req, res) => {
-  const { projectDescription, projectId } = req.body;
+  const { projectDescription } = req.body;
 
   if (!projectDescription) {
     return res.status(400).json({
@@ -236,16 +240,36 @@ Respond in JSON format:
 });
 
 /**
- * @desc    Generate sprint plan
- * @route   POST /api/ai/generate-sprint-plan
- * @access  Private (Project Manager only)
+ * @desc    Generate sprint plan (from the team capacity of `sprintId` when given)
+ * @route   POST /api/ai/generate-sprint-plan  { projectId, sprintDuration, teamSize, sprintId }
+ * @access  Private (Owner or Project Manager of the project)
  */
 export const generateSprintPlan = asyncHandler(async (req, res) => {
-  const { projectId, sprintDuration, teamSize } = req.body;
+  const { sprintDuration, teamSize, sprintId } = req.body;
+  const { project } = req;
+
+  // Real availability recorded on the sprint replaces the team size
+  let capacity = null;
+  let duration = sprintDuration;
+  if (sprintId) {
+    const sprint = mongoose.isValidObjectId(sprintId)
+      ? await Sprint.findOne({ _id: sprintId, project: project._id, isActive: true })
+      : null;
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    capacity = await getCapacityBreakdown(sprint, getWorkflow(project));
+    duration = duration || Math.ceil((sprint.endDate - sprint.startDate) / (1000 * 60 * 60 * 24));
+  }
 
   // Get project tasks
-  const tasks = await Task.find({ project: projectId, isActive: true, sprint: null })
-    .select('title description priority')
+  const tasks = await Task.find({ project: project._id, isActive: true, sprint: null })
+    .select('title description priority estimatedHours storyPoints')
     .limit(20);
 
   if (tasks.length === 0) {
@@ -255,11 +279,23 @@ export const generateSprintPlan = asyncHandler(async (req, res) => {
     });
   }
 
+  const estimateOf = (t) => (capacity && capacity.unit === 'points'
+    ? `${t.storyPoints || 0} points`
+    : `${t.estimatedHours || 0} hours`);
+
   const tasksList = tasks.map((t, i) => 
-    `${i + 1}. ${t.title} (Priority: ${t.priority})`
+    `${i + 1}. ${t.title} (Priority: ${t.priority}${capacity ? `, Estimate: ${estimateOf(t)}` : ''})`
   ).join('\n');
 
-  const prompt = `Create a sprint plan for a team of ${teamSize} people with a ${sprintDuration}-day sprint.
+  const teamDescription = capacity
+    ? `a team with the following capacity (in ${capacity.unit}):
+${capacity.members.map(m => `- ${m.user.name}: ${m.capacity !== null ? m.capacity : 'not set'} available, ${m.allocated} already assigned`).join('\n')}
+Total remaining capacity: ${capacity.totals.available} ${capacity.unit}.
+Do not recommend more work than the remaining capacity, and do not overload any member.
+`
+    : `a team of ${teamSize} people`;
+
+  const prompt = `Create a sprint plan for ${teamDescription} with a ${duration}-day sprint.
 
 Available Tasks:
 ${tasksList}
@@ -282,7 +318,7 @@ Respond in JSON format:
 
     res.status(200).json({
       success: true,
-      data: sprintPlan
+      data: capacity ? { ...sprintPlan, capacity } : sprintPlan
     });
   } catch (error) {
     res.status(500).json({
@@ -312,16 +348,17 @@ export const getProjectSummary = asyncHandler(async (req, res) => {
   }
 
   // Get task statistics
+  const doneStatuses = getDoneStatuses(getWorkflow(project));
   const totalTasks = await Task.countDocuments({ project: projectId, isActive: true });
   const completedTasks = await Task.countDocuments({ 
     project: projectId, 
     isActive: true, 
-    status: 'Done' 
+    status: { $in: doneStatuses }
   });
   const delayedTasks = await Task.countDocuments({
     project: projectId,
     isActive: true,
-    status: { $ne: 'Done' },
+    status: { $nin: doneStatuses },
     dueDate: { $lt: new Date() }
   });
 
@@ -370,27 +407,31 @@ Keep it concise (3-4 sentences).`;
  */
 export const detectIssues = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
+  const workflow = getWorkflow(req.project);
 
   // Get delayed tasks
   const delayedTasks = await Task.find({
     project: projectId,
     isActive: true,
-    status: { $ne: 'Done' },
+    status: { $nin: getDoneStatuses(workflow) },
     dueDate: { $lt: new Date() }
   })
     .select('title status dueDate priority')
     .populate('assignedTo', 'name');
 
-  // Get tasks in review for too long
+  // Get tasks in a review status for too long
   const tasksInReview = await Task.find({
     project: projectId,
     isActive: true,
-    status: 'Review',
+    status: { $in: getStatusesInCategory(workflow, 'review') },
     updatedAt: { $lt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) } // 3 days
   })
     .select('title status updatedAt')
     .populate('assignedTo', 'name');
 
+  // Open tasks waiting on chains of other open tasks (blockers may be in other projects)
+  const blockedChains = await findBlockedChains(req.project._id, req.user.id);
+
   const issues = {
     delayedTasks: delayedTasks.map(t => ({
       id: t._id,
@@ -404,9 +445,16 @@ export const detectIssues = asyncHandler(async (req, res) => {
       title: t.title,
       daysSinceUpdate: Math.floor((Date.now() - new Date(t.updatedAt)) / (1000 * 60 * 60 * 24)),
       assignedTo: t.assignedTo?.name || 'Unassigned'
-    }))
+    })),
+    blockedChains
   };
 
+  // Blockers the user cannot view are only counted
+  const describeChain = (c) => [
+    ...c.chain.map(t => t.title),
+    ...(c.hiddenBlockers > 0 ? [`${c.hiddenBlockers} task(s) in other projects`] : [])
+  ].join(' <- ');
+
   const prompt = `Analyze the following project issues and provide actionable recommendations:
 
 Delayed Tasks (${delayedTasks.length}):
@@ -415,6 +463,9 @@ ${delayedTasks.slice(0, 5).map(t => `- ${t.title} (Due: ${t.dueDate.toLocaleDate
 Stalled Reviews (${tasksInReview.length}):
 ${tasksInReview.slice(0, 5).map(t => `- ${t.title}`).join('\n')}
 
+Blocked Tasks (${blockedChains.length}):
+${blockedChains.slice(0, 5).map(c => `- ${c.task.title} is waiting on: ${describeChain(c)}`).join('\n')}
+
 Provide 3-4 specific, actionable recommendations to address these issues.`;
 
   try {
@@ -432,7 +483,7 @@ Provide 3-4 specific, actionable recommendations to address these issues.`;
       success: true,
       data: {
         issues,
-        recommendations: 'Review delayed tasks and reassign if necessary. Follow up on stalled reviews.'
+        recommendations: 'Review delayed tasks and reassign if necessary. Follow up on stalled reviews and unblock the tasks at the start of blocked chains.'
       }
     });
   }
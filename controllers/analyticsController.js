@@ -4,6 +4,7 @@ import Project from '../models/Project.js';
 import User from '../models/User.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import Sprint from '../models/Sprint.js';
+import { getWorkflow, getDoneStatuses, doneTaskFilter, openTaskFilter, loadWorkflows } from '../utils/workflow.js';
 
 /**
  * @desc    Get dashboard analytics for user
@@ -20,10 +21,14 @@ export const getDashboardAnalytics = asyncHandler(async (req, res) => {
       { 'members.user': userId }
     ],
     isActive: true
-  }).select('_id');
+  }).select('_id workflow');
 
   const projectIds = userProjects.map(p => p._id);
 
+  // Which statuses count as done depends on each project's workflow
+  const workflows = new Map(userProjects.map(p => [p._id.toString(), getWorkflow(p)]));
+  const myWorkflows = await loadWorkflows(await Task.distinct('project', { assignedTo: userId, isActive: true }));
+
   // Overall statistics
   const totalProjects = projectIds.length;
   
@@ -35,7 +40,7 @@ export const getDashboardAnalytics = asyncHandler(async (req, res) => {
   const completedTasks = await Task.countDocuments({
     project: { $in: projectIds },
     isActive: true,
-    status: 'Done'
+    ...doneTaskFilter(workflows)
   });
 
   const myTasks = await Task.countDocuments({
@@ -46,13 +51,13 @@ export const getDashboardAnalytics = asyncHandler(async (req, res) => {
   const myCompletedTasks = await Task.countDocuments({
     assignedTo: userId,
     isActive: true,
-    status: 'Done'
+    ...doneTaskFilter(myWorkflows)
   });
 
   const delayedTasks = await Task.countDocuments({
     project: { $in: projectIds },
     isActive: true,
-    status: { $ne: 'Done' },
+    ...openTaskFilter(workflows),
     dueDate: { $lt: new Date() }
   });
 
@@ -63,8 +68,8 @@ export const getDashboardAnalytics = asyncHandler(async (req, res) => {
     isActive: true
   });
 
-  // Tasks by status
-  const tasksByStatus = await Task.aggregate([
+  // Tasks by status, and by status category since projects name their statuses differently
+  const tasksByProjectStatus = await Task.aggregate([
     {
       $match: {
         project: { $in: projectIds },
@@ -73,12 +78,25 @@ export const getDashboardAnalytics = asyncHandler(async (req, res) => {
     },
     {
       $group: {
-        _id: '$status',
+        _id: { project: '$project', status: '$status' },
         count: { $sum: 1 }
       }
     }
   ]);
 
+  const statusCounts = {};
+  const tasksByCategory = { todo: 0, in_progress: 0, review: 0, done: 0 };
+  tasksByProjectStatus.forEach(({ _id, count }) => {
+    statusCounts[_id.status] = (statusCounts[_id.status] || 0) + count;
+
+    const workflow = workflows.get(_id.project.toString());
+    const definition = workflow && workflow.statuses.find(s => s.name === _id.status);
+    if (definition) {
+      tasksByCategory[definition.category] += count;
+    }
+  });
+  const tasksByStatus = Object.entries(statusCounts).map(([status, count]) => ({ _id: status, count }));
+
   // Tasks by priority
   const tasksByPriority = await Task.aggregate([
     {
@@ -119,6 +137,7 @@ export const getDashboardAnalytics = asyncHandler(async (req, res) => {
         myCompletionRate: myTasks > 0 ? Math.round((myCompletedTasks / myTasks) * 100) : 0
       },
       tasksByStatus,
+      tasksByCategory,
       tasksByPriority
     }
   });
@@ -131,27 +150,8 @@ export const getDashboardAnalytics = asyncHandler(async (req, res) => {
  */
 export const getProjectAnalytics = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
-
-  // Verify project access
-  const project = await Project.findById(projectId);
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this project'
-    });
-  }
+  const workflow = getWorkflow(req.project);
+  const doneStatuses = getDoneStatuses(workflow);
 
   // Task statistics
   const totalTasks = await Task.countDocuments({
@@ -159,7 +159,7 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
     isActive: true
   });
 
-  const tasksByStatus = await Task.aggregate([
+  const statusCounts = await Task.aggregate([
     {
       $match: {
         project: new mongoose.Types.ObjectId(projectId),
@@ -174,6 +174,13 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
     }
   ]);
 
+  // One entry per workflow column, in board order
+  const tasksByStatus = workflow.statuses.map(status => ({
+    _id: status.name,
+    category: status.category,
+    count: statusCounts.find(s => s._id === status.name)?.count || 0
+  }));
+
   const tasksByPriority = await Task.aggregate([
     {
       $match: {
@@ -189,6 +196,40 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Tasks per label, in the project's label order (a task with several labels counts for each)
+  const labelCounts = await Task.aggregate([
+    {
+      $match: {
+        project: new mongoose.Types.ObjectId(projectId),
+        isActive: true
+      }
+    },
+    {
+      $unwind: { path: '$labels', preserveNullAndEmptyArrays: true }
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$labels', null] },
+        count: { $sum: 1 },
+        completed: {
+          $sum: { $cond: [{ $in: ['$status', doneStatuses] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const labelCount = (labelId) => labelCounts.find(l => String(l._id) === String(labelId)) || { count: 0, completed: 0 };
+  const tasksByLabel = {
+    labels: req.project.labels.map(label => ({
+      _id: label._id,
+      name: label.name,
+      color: label.color,
+      count: labelCount(label._id).count,
+      completed: labelCount(label._id).completed
+    })),
+    unlabelled: labelCount(null).count
+  };
+
   // Team member performance
   const memberStats = await Task.aggregate([
     {
@@ -203,7 +244,7 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
         _id: '$assignedTo',
         totalTasks: { $sum: 1 },
         completedTasks: {
-          $sum: { $cond: [{ $eq: ['$status', 'Done'] }, 1, 0] }
+          $sum: { $cond: [{ $in: ['$status', doneStatuses] }, 1, 0] }
         }
       }
     },
@@ -252,7 +293,7 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
       const completedSprintTasks = await Task.countDocuments({
         sprint: sprint._id,
         isActive: true,
-        status: 'Done'
+        status: { $in: doneStatuses }
       });
 
       return {
@@ -273,7 +314,7 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
       $match: {
         project: new mongoose.Types.ObjectId(projectId),
         isActive: true,
-        status: 'Done',
+        status: { $in: doneStatuses },
         updatedAt: { $gte: thirtyDaysAgo }
       }
     },
@@ -293,7 +334,7 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
   const delayedTasks = await Task.countDocuments({
     project: projectId,
     isActive: true,
-    status: { $ne: 'Done' },
+    status: { $nin: doneStatuses },
     dueDate: { $lt: new Date() }
   });
 
@@ -303,6 +344,7 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
       totalTasks,
       tasksByStatus,
       tasksByPriority,
+      tasksByLabel,
       memberStats,
       sprintStats,
       completionTrend,
@@ -314,10 +356,11 @@ export const getProjectAnalytics = asyncHandler(async (req, res) => {
 /**
  * @desc    Get team member performance
  * @route   GET /api/analytics/team-performance/:projectId
- * @access  Private (Project Manager only)
+ * @access  Private (Owner or Project Manager)
  */
 export const getTeamPerformance = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
+  const doneStatuses = getDoneStatuses(getWorkflow(req.project));
 
   const performance = await Task.aggregate([
     {
@@ -332,7 +375,7 @@ export const getTeamPerformance = asyncHandler(async (req, res) => {
         _id: '$assignedTo',
         totalTasks: { $sum: 1 },
         completedTasks: {
-          $sum: { $cond: [{ $eq: ['$status', 'Done'] }, 1, 0] }
+          $sum: { $cond: [{ $in: ['$status', doneStatuses] }, 1, 0] }
         },
         highPriorityTasks: {
           $sum: { $cond: [{ $eq: ['$priority', 'High'] }, 1, 0] }
@@ -342,7 +385,7 @@ export const getTeamPerformance = asyncHandler(async (req, res) => {
             $cond: [
               { 
                 $and: [
-                  { $ne: ['$status', 'Done'] },
+                  { $not: [{ $in: ['$status', doneStatuses] }] },
                   { $lt: ['$dueDate', new Date()] }
                 ]
               },
@@ -2,6 +2,7 @@ import Task from '../models/Task.js';
 import Project from '../models/Project.js';
 import User from '../models/User.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { getWorkflow, getStatusCategory, doneTaskFilter } from '../utils/workflow.js';
 
 // @desc    Get analytics data
 // @route   GET /api/analytics
@@ -11,7 +12,7 @@ export const getAnalytics = asyncHandler(async (req, res) => {
   const projects = await Project.find({
     $or: [
       { createdBy: req.user._id },
-      { members: req.user._id }
+      { 'members.user': req.user._id }
     ]
   });
 
@@ -23,12 +24,16 @@ export const getAnalytics = asyncHandler(async (req, res) => {
   
   const tasks = await Task.find({ project: { $in: projectIds } });
   const totalTasks = tasks.length;
-  const completedTasks = tasks.filter(t => t.status === 'Done').length;
+
+  // Status names differ per project, so count tasks by their workflow category
+  const workflows = new Map(projects.map(p => [p._id.toString(), getWorkflow(p)]));
+  const categoryOf = (task) => getStatusCategory(workflows.get(task.project.toString()), task.status);
+  const completedTasks = tasks.filter(t => categoryOf(t) === 'done').length;
 
   // Get unique team members
   const memberSet = new Set();
   projects.forEach(p => {
-    p.members.forEach(m => memberSet.add(m.toString()));
+    p.members.forEach(m => memberSet.add(m.user.toString()));
   });
   const totalMembers = memberSet.size;
 
@@ -39,10 +44,10 @@ export const getAnalytics = asyncHandler(async (req, res) => {
 
   // Tasks by status
   const tasksByStatus = {
-    todo: tasks.filter(t => t.status === 'Todo').length,
-    inProgress: tasks.filter(t => t.status === 'In Progress').length,
-    inReview: tasks.filter(t => t.status === 'In Review').length,
-    done: tasks.filter(t => t.status === 'Done').length
+    todo: tasks.filter(t => categoryOf(t) === 'todo').length,
+    inProgress: tasks.filter(t => categoryOf(t) === 'in_progress').length,
+    inReview: tasks.filter(t => categoryOf(t) === 'review').length,
+    done: completedTasks
   };
 
   // Tasks by priority
@@ -66,8 +71,7 @@ export const getAnalytics = asyncHandler(async (req, res) => {
   const oneWeekAgo = new Date();
   oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
   const tasksCompletedThisWeek = await Task.countDocuments({
-    project: { $in: projectIds },
-    status: 'Done',
+    ...doneTaskFilter(workflows),
     updatedAt: { $gte: oneWeekAgo }
   });
 
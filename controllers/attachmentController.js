@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import path from 'path';
+import Task from '../models/Task.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { hasPermission } from '../utils/permissions.js';
+import { getStorage } from '../utils/storage/index.js';
+import { logActivity } from './activityController.js';
+import { emitTaskUpdate } from '../config/socket.js';
+
+/**
+ * Build a storage key that keeps the original extension but not the original name
+ */
+const buildStorageKey = (task, originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `tasks/${task._id}/${crypto.randomUUID()}${extension}`;
+};
+
+/**
+ * @desc    Get attachments of a task
+ * @route   GET /api/tasks/:id/attachments
+ * @access  Private
+ */
+export const getAttachments = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.task._id)
+    .select('attachments')
+    .populate('attachments.uploadedBy', 'name email avatar');
+
+  res.status(200).json({
+    success: true,
+    count: task.attachments.length,
+    data: task.attachments
+  });
+});
+
+/**
+ * @desc    Upload attachment to a task (multipart field `file`)
+ * @route   POST /api/tasks/:id/attachments
+ * @access  Private
+ */
+export const uploadAttachment = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No file uploaded. Send the file in a multipart field named "file"'
+    });
+  }
+
+  const { task } = req;
+  const storage = await getStorage();
+  const key = buildStorageKey(task, req.file.originalname);
+
+  await storage.save(key, req.file.buffer, req.file.mimetype);
+
+  const attachment = task.attachments.create({
+    name: req.file.originalname,
+    key,
+    storage: storage.name,
+    size: req.file.size,
+    mimeType: req.file.mimetype,
+    uploadedBy: req.user.id
+  });
+  attachment.url = `/api/tasks/${task._id}/attachments/${attachment._id}/download`;
+  task.attachments.push(attachment);
+
+  try {
+    await task.save();
+  } catch (error) {
+    // Don't leave orphaned files behind if the task could not be saved
+    await storage.remove(key).catch(() => {});
+    throw error;
+  }
+
+  await logActivity(req.user.id, 'task_updated', `Attached "${attachment.name}" to task "${task.title}"`, task.project, task._id);
+  emitTaskUpdate(task.project, { _id: task._id, attachments: task.attachments }, 'attachment-added', req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Attachment uploaded successfully',
+    data: attachment
+  });
+});
+
+/**
+ * @desc    Download attachment
+ * @route   GET /api/tasks/:id/attachments/:attachmentId/download
+ * @access  Private
+ */
+export const downloadAttachment = asyncHandler(async (req, res) => {
+  const attachment = req.task.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  // Attachments created before uploads were supported only have an external URL
+  if (!attachment.key) {
+    return res.redirect(attachment.url);
+  }
+
+  const storage = await getStorage();
+  let stream;
+  try {
+    stream = await storage.getStream(attachment.key);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment file is missing from storage'
+    });
+  }
+
+  res.attachment(attachment.name);
+  res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+  if (attachment.size) {
+    res.setHeader('Content-Length', attachment.size);
+  }
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Delete attachment
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @access  Private (Uploader, Owner or Project Manager)
+ */
+export const deleteAttachment = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const attachment = task.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  const isUploader = attachment.uploadedBy && attachment.uploadedBy.toString() === req.user.id;
+
+  if (!isUploader && !hasPermission(req.projectRole, 'attachment:moderate')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the uploader or a Project Manager can delete this attachment'
+    });
+  }
+
+  if (attachment.key) {
+    const storage = await getStorage();
+    await storage.remove(attachment.key);
+  }
+
+  attachment.deleteOne();
+  await task.save();
+
+  emitTaskUpdate(task.project, { _id: task._id, attachments: task.attachments }, 'attachment-removed', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Attachment deleted successfully',
+    data: {}
+  });
+});
@@ -0,0 +1,256 @@
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { hasPermission } from '../utils/permissions.js';
+import { logActivity } from './activityController.js';
+import { createNotification, notifyUsers } from './notificationController.js';
+import { emitCommentUpdate } from '../config/socket.js';
+
+const MENTION_PATTERN = /@([A-Za-z0-9._-]+)/g;
+
+/**
+ * Find the project members mentioned in a comment
+ * `@handle` matches a member's email local part or their name without spaces
+ */
+const parseMentions = (text, project) => {
+  const handles = new Set(
+    [...text.matchAll(MENTION_PATTERN)].map(match => match[1].replace(/\.+$/, '').toLowerCase())
+  );
+
+  if (handles.size === 0) return [];
+
+  return project.members
+    .filter(member => member.user)
+    .filter(member => {
+      const emailHandle = member.user.email.split('@')[0].toLowerCase();
+      const nameHandle = member.user.name.replace(/\s+/g, '').toLowerCase();
+      return handles.has(emailHandle) || handles.has(nameHandle);
+    })
+    .map(member => member.user._id.toString());
+};
+
+/**
+ * Hide the text of soft-deleted comments while keeping them in threads
+ */
+const serializeComment = (comment) => {
+  const data = comment.toObject ? comment.toObject() : comment;
+  if (data.isDeleted) {
+    data.text = null;
+    data.mentions = [];
+  }
+  return data;
+};
+
+/**
+ * @desc    Get comments of a task (top-level comments paginated, with replies)
+ * @route   GET /api/tasks/:id/comments
+ * @access  Private
+ */
+export const getComments = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const query = { task: task._id, parent: null };
+
+  const [comments, total] = await Promise.all([
+    Comment.find(query)
+      .populate('user', 'name email avatar')
+      .populate('mentions', 'name email')
+      .sort('createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Comment.countDocuments(query)
+  ]);
+
+  const replies = await Comment.find({ parent: { $in: comments.map(c => c._id) } })
+    .populate('user', 'name email avatar')
+    .populate('mentions', 'name email')
+    .sort('createdAt');
+
+  const data = comments.map(comment => ({
+    ...serializeComment(comment),
+    replies: replies
+      .filter(reply => reply.parent.toString() === comment._id.toString())
+      .map(serializeComment)
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data
+  });
+});
+
+/**
+ * @desc    Add comment (or reply) to task
+ * @route   POST /api/tasks/:id/comments
+ * @access  Private
+ */
+export const addComment = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const project = await req.project.populate('members.user', 'name email');
+  const { text, parentId } = req.body;
+
+  let parent = null;
+  if (parentId) {
+    parent = mongoose.isValidObjectId(parentId) ? await Comment.findById(parentId) : null;
+
+    if (!parent || parent.task.toString() !== task._id.toString() || parent.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent comment not found on this task'
+      });
+    }
+
+    // Replies to replies stay in the root comment's thread
+    if (parent.parent) {
+      parent = await Comment.findById(parent.parent);
+    }
+  }
+
+  const mentions = parseMentions(text, project);
+  const involvedUsers = await Comment.distinct('user', { task: task._id, isDeleted: false });
+
+  const comment = await Comment.create({
+    task: task._id,
+    project: task.project,
+    user: req.user.id,
+    text,
+    parent: parent ? parent._id : null,
+    mentions
+  });
+
+  await logActivity(req.user.id, 'comment_added', `Commented on task "${task.title}"`, task.project, task._id);
+
+  // Mentioned members get a dedicated notification, everyone else involved a regular one
+  await notifyUsers(
+    mentions,
+    `${req.user.name} mentioned you on task "${task.title}"`,
+    'info',
+    task.project,
+    task._id,
+    req.user.id
+  );
+  await notifyUsers(
+    [task.assignedTo, task.createdBy, ...involvedUsers]
+      .filter(userId => userId && !mentions.includes(userId.toString())),
+    `${req.user.name} commented on task "${task.title}"`,
+    'info',
+    task.project,
+    task._id,
+    req.user.id
+  );
+
+  const populatedComment = await Comment.findById(comment._id)
+    .populate('user', 'name email avatar')
+    .populate('mentions', 'name email');
+
+  emitCommentUpdate(task.project, task._id, populatedComment, 'create', req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: populatedComment
+  });
+});
+
+/**
+ * @desc    Edit comment
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @access  Private (Comment author only)
+ */
+export const updateComment = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const project = await req.project.populate('members.user', 'name email');
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+
+  if (!comment || comment.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  if (comment.user.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the author can edit this comment'
+    });
+  }
+
+  const previousMentions = comment.mentions.map(id => id.toString());
+  const mentions = parseMentions(req.body.text, project);
+
+  comment.text = req.body.text;
+  comment.mentions = mentions;
+  comment.isEdited = true;
+  comment.editedAt = new Date();
+  await comment.save();
+
+  // Only notify members who were not already mentioned
+  const newMentions = mentions.filter(userId => !previousMentions.includes(userId));
+  await Promise.all(
+    newMentions
+      .filter(userId => userId !== req.user.id)
+      .map(userId => createNotification(
+        userId,
+        `${req.user.name} mentioned you on task "${task.title}"`,
+        'info',
+        task.project,
+        task._id
+      ))
+  );
+
+  const populatedComment = await Comment.findById(comment._id)
+    .populate('user', 'name email avatar')
+    .populate('mentions', 'name email');
+
+  emitCommentUpdate(task.project, task._id, populatedComment, 'update', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: populatedComment
+  });
+});
+
+/**
+ * @desc    Delete comment (soft delete)
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @access  Private (Comment author, Owner or Project Manager)
+ */
+export const deleteComment = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+
+  if (!comment || comment.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  const isAuthor = comment.user.toString() === req.user.id;
+
+  if (!isAuthor && !hasPermission(req.projectRole, 'comment:moderate')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the author or a Project Manager can delete this comment'
+    });
+  }
+
+  comment.isDeleted = true;
+  comment.deletedAt = new Date();
+  await comment.save();
+
+  emitCommentUpdate(task.project, task._id, { _id: comment._id, parent: comment.parent }, 'delete', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment deleted successfully',
+    data: {}
+  });
+});
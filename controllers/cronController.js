@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import asyncHandler from '../utils/asyncHandler.js';
+import { runJobs } from '../jobs/scheduler.js';
+
+/**
+ * Compare the request's Bearer token with CRON_SECRET in constant time
+ */
+const hasCronSecret = (req) => {
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const received = Buffer.from(req.headers.authorization || '');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * @desc    Run the background jobs once (recurring tasks, due-date reminders)
+ * @route   GET /api/cron/run
+ * @access  Cron (Authorization: Bearer CRON_SECRET, sent by Vercel Cron)
+ */
+export const runCronJobs = asyncHandler(async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: 'Cron jobs are not configured'
+    });
+  }
+
+  if (!hasCronSecret(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to run cron jobs'
+    });
+  }
+
+  const results = await runJobs();
+
+  res.status(200).json({
+    success: true,
+    message: 'Jobs completed',
+    data: results
+  });
+});
@@ -0,0 +1,124 @@
+import Task from '../models/Task.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { parseFieldDefinition, parseFieldUpdate } from '../utils/customFields.js';
+import { emitProjectUpdate } from '../config/socket.js';
+
+const findField = (project, key) => (project.customFields || []).find(field => field.key === key);
+
+const fieldNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Custom field not found'
+});
+
+/**
+ * @desc    Get the custom fields of a project
+ * @route   GET /api/projects/:id/custom-fields
+ * @access  Private
+ */
+export const getCustomFields = asyncHandler(async (req, res) => {
+  const fields = req.project.customFields || [];
+
+  res.status(200).json({
+    success: true,
+    count: fields.length,
+    data: fields
+  });
+});
+
+/**
+ * @desc    Add a custom field to a project
+ * @route   POST /api/projects/:id/custom-fields
+ * @access  Private (Owner or Project Manager)
+ */
+export const createCustomField = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const field = parseFieldDefinition(req.body, project.customFields);
+
+  project.customFields.push(field);
+  await project.save();
+
+  emitProjectUpdate(project._id, { _id: project._id, customFields: project.customFields }, 'custom-fields-updated', req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Custom field created successfully',
+    data: field
+  });
+});
+
+/**
+ * @desc    Update a custom field (name, description, required flag and options; not key or type)
+ * @route   PUT /api/projects/:id/custom-fields/:key
+ * @access  Private (Owner or Project Manager)
+ */
+export const updateCustomField = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const field = findField(project, req.params.key);
+
+  if (!field) {
+    return fieldNotFound(res);
+  }
+
+  const updated = parseFieldUpdate(field, req.body);
+  const path = `customFields.${field.key}`;
+
+  // Options that disappear must not be used by any task
+  const removedOptions = (field.options || []).filter(option => !updated.options.includes(option));
+  if (removedOptions.length > 0) {
+    const inUse = await Task.aggregate([
+      { $match: { project: project._id, isActive: true, [path]: { $in: removedOptions } } },
+      { $unwind: `$${path}` },
+      { $match: { [path]: { $in: removedOptions } } },
+      { $group: { _id: `$${path}`, count: { $sum: 1 } } }
+    ]);
+
+    if (inUse.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Clear these options from tasks before removing them: ${inUse.map(o => `${o._id} (${o.count})`).join(', ')}`,
+        data: inUse.map(o => ({ option: o._id, tasks: o.count }))
+      });
+    }
+  }
+
+  Object.assign(field, updated);
+  await project.save();
+
+  emitProjectUpdate(project._id, { _id: project._id, customFields: project.customFields }, 'custom-fields-updated', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Custom field updated successfully',
+    data: updated
+  });
+});
+
+/**
+ * @desc    Remove a custom field and its values from every task of the project
+ * @route   DELETE /api/projects/:id/custom-fields/:key
+ * @access  Private (Owner or Project Manager)
+ */
+export const deleteCustomField = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const field = findField(project, req.params.key);
+
+  if (!field) {
+    return fieldNotFound(res);
+  }
+
+  project.customFields = project.customFields.filter(f => f.key !== field.key);
+  await project.save();
+
+  await Task.updateMany(
+    { project: project._id },
+    { $unset: { [`customFields.${field.key}`]: '' } }
+  );
+
+  emitProjectUpdate(project._id, { _id: project._id, customFields: project.customFields }, 'custom-fields-updated', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Custom field deleted successfully',
+    data: {}
+  });
+});
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { parseLabel, resolveLabelIds } from '../utils/labels.js';
+import { emitProjectUpdate, emitTaskUpdate } from '../config/socket.js';
+
+const findLabel = (project, labelId) => (mongoose.isValidObjectId(labelId) ? project.labels.id(labelId) : null);
+
+const labelNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Label not found'
+});
+
+/**
+ * @desc    Get the labels of a project with the number of tasks using each
+ * @route   GET /api/projects/:id/labels
+ * @access  Private
+ */
+export const getLabels = asyncHandler(async (req, res) => {
+  const { project } = req;
+
+  const usage = await Task.aggregate([
+    { $match: { project: project._id, isActive: true } },
+    { $unwind: '$labels' },
+    { $group: { _id: '$labels', count: { $sum: 1 } } }
+  ]);
+  const counts = Object.fromEntries(usage.map(entry => [entry._id.toString(), entry.count]));
+
+  res.status(200).json({
+    success: true,
+    count: project.labels.length,
+    data: project.labels.map(label => ({
+      ...label.toObject(),
+      taskCount: counts[label._id.toString()] || 0
+    }))
+  });
+});
+
+/**
+ * @desc    Create a label
+ * @route   POST /api/projects/:id/labels
+ * @access  Private (Owner or Project Manager)
+ */
+export const createLabel = asyncHandler(async (req, res) => {
+  const { project } = req;
+
+  project.labels.push(parseLabel(req.body, project.labels));
+  await project.save();
+
+  const label = project.labels[project.labels.length - 1];
+
+  emitProjectUpdate(project._id, { _id: project._id, labels: project.labels }, 'labels-updated', req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Label created successfully',
+    data: label
+  });
+});
+
+/**
+ * @desc    Rename or recolor a label
+ * @route   PUT /api/projects/:id/labels/:labelId
+ * @access  Private (Owner or Project Manager)
+ */
+export const updateLabel = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const label = findLabel(project, req.params.labelId);
+
+  if (!label) {
+    return labelNotFound(res);
+  }
+
+  Object.assign(label, parseLabel(req.body, project.labels, label));
+  await project.save();
+
+  emitProjectUpdate(project._id, { _id: project._id, labels: project.labels }, 'labels-updated', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Label updated successfully',
+    data: label
+  });
+});
+
+/**
+ * @desc    Delete a label and remove it from every task of the project
+ * @route   DELETE /api/projects/:id/labels/:labelId
+ * @access  Private (Owner or Project Manager)
+ */
+export const deleteLabel = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const label = findLabel(project, req.params.labelId);
+
+  if (!label) {
+    return labelNotFound(res);
+  }
+
+  label.deleteOne();
+  await project.save();
+
+  await Task.updateMany(
+    { project: project._id, labels: label._id },
+    { $pull: { labels: label._id } }
+  );
+
+  emitProjectUpdate(project._id, { _id: project._id, labels: project.labels }, 'labels-updated', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Label deleted successfully',
+    data: {}
+  });
+});
+
+/**
+ * Reload a task after a label change, broadcast it and send it back
+ */
+const sendLabelledTask = async (req, res, message) => {
+  const task = await Task.findById(req.task._id)
+    .select('-comments')
+    .populate('assignedTo', 'name email avatar')
+    .populate('createdBy', 'name email avatar')
+    .populate('sprint', 'name');
+
+  emitTaskUpdate(task.project, task, 'update', req.user);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: task
+  });
+};
+
+/**
+ * @desc    Attach labels to a task
+ * @route   POST /api/tasks/:id/labels
+ * @access  Private
+ */
+export const addTaskLabels = asyncHandler(async (req, res) => {
+  const { labelIds, labelId } = req.body;
+
+  if (!labelIds && !labelId) {
+    return res.status(400).json({
+      success: false,
+      message: 'labelIds is required'
+    });
+  }
+
+  const ids = resolveLabelIds(req.project, labelIds || labelId);
+
+  await Task.updateOne(
+    { _id: req.task._id },
+    { $addToSet: { labels: { $each: ids } } }
+  );
+
+  await sendLabelledTask(req, res, 'Labels added successfully');
+});
+
+/**
+ * @desc    Detach a label from a task
+ * @route   DELETE /api/tasks/:id/labels/:labelId
+ * @access  Private
+ */
+export const removeTaskLabel = asyncHandler(async (req, res) => {
+  const { task } = req;
+
+  if (!task.labels.some(id => id.toString() === req.params.labelId)) {
+    return labelNotFound(res);
+  }
+
+  await Task.updateOne(
+    { _id: task._id },
+    { $pull: { labels: new mongoose.Types.ObjectId(req.params.labelId) } }
+  );
+
+  await sendLabelledTask(req, res, 'Label removed successfully');
+});
@@ -1,5 +1,6 @@
 import Notification from '../models/Notification.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { emitNotification } from '../config/socket.js';
 
 // @desc    Get user notifications
 // @route   GET /api/notifications
@@ -81,17 +82,41 @@ export const deleteNotification = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Create notification (helper function)
+// @desc    Create notification and push it in real time (helper function)
 export const createNotification = async (userId, message, type = 'info', relatedProject = null, relatedTask = null) => {
   try {
-    await Notification.create({
+    const notification = await Notification.create({
       user: userId,
       message,
       type,
       relatedProject,
       relatedTask
     });
+
+    emitNotification(userId.toString(), notification.toObject());
+
+    return notification;
   } catch (error) {
     console.error('Error creating notification:', error);
+    return null;
   }
 };
+
+// @desc    Notify several users, skipping duplicates and the user who triggered it (helper function)
+export const notifyUsers = async (userIds, message, type = 'info', relatedProject = null, relatedTask = null, excludeUserId = null) => {
+  const recipients = new Set(
+    userIds
+      .filter(Boolean)
+      .map(id => (id._id || id).toString())
+  );
+
+  if (excludeUserId) {
+    recipients.delete(excludeUserId.toString());
+  }
+
+  return Promise.all(
+    [...recipients].map(userId =>
+      createNotification(userId, message, type, relatedProject, relatedTask)
+    )
+  );
+};
@@ -1,6 +1,13 @@
 import Project from '../models/Project.js';
 import Task from '../models/Task.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { logActivity } from './activityController.js';
+import { createNotification, notifyUsers } from './notificationController.js';
+import { emitProjectUpdate, removeUserFromProject } from '../config/socket.js';
+import { ASSIGNABLE_ROLES } from '../utils/permissions.js';
+import { generateProjectKey } from '../utils/projectKey.js';
+import { getWorkflow, getDoneStatuses } from '../utils/workflow.js';
+import { parseReminderSettings } from '../utils/reminders.js';
 import mongoose from 'mongoose';
 
 /**
@@ -46,33 +53,15 @@ export const getProjects = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const getProject = asyncHandler(async (req, res) => {
+  // Access is checked by the authorizeProject middleware
   const project = await Project.findById(req.params.id)
     .populate('createdBy', 'name email avatar')
     .populate('members.user', 'name email avatar role');
 
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
-  // Check if user has access to this project
-  const isMember = project.members.some(
-    member => member.user._id.toString() === req.user.id
-  );
-  const isCreator = project.createdBy._id.toString() === req.user.id;
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this project'
-    });
-  }
-
   res.status(200).json({
     success: true,
-    data: project
+    data: project,
+    myRole: req.projectRole
   });
 });
 
@@ -82,13 +71,13 @@ export const getProject = asyncHandler(async (req, res) => {
  * @access  Private (Project Manager only)
  */
 export const createProject = asyncHandler(async (req, res) => {
-  const { name, description, members, startDate, endDate, status } = req.body;
+  const { name, description, members, startDate, endDate, status, key } = req.body;
 
-  // Add creator as a member with Project Manager role
+  // Add creator as a member with Owner role
   const projectMembers = [
     {
       user: req.user.id,
-      role: 'Project Manager'
+      role: 'Owner'
     }
   ];
 
@@ -99,7 +88,7 @@ export const createProject = asyncHandler(async (req, res) => {
       if (member.user !== req.user.id) {
         projectMembers.push({
           user: member.user,
-          role: member.role || 'Team Member'
+          role: ASSIGNABLE_ROLES.includes(member.role) ? member.role : 'Team Member'
         });
       }
     });
@@ -108,6 +97,8 @@ export const createProject = asyncHandler(async (req, res) => {
   const project = await Project.create({
     name,
     description,
+    // Task keys are prefixed with the project key, derived from the name unless given
+    key: key || await generateProjectKey(name),
     createdBy: req.user.id,
     members: projectMembers,
     startDate: startDate || Date.now(),
@@ -115,6 +106,16 @@ export const createProject = asyncHandler(async (req, res) => {
     status: status || 'Planning'
   });
 
+  await logActivity(req.user.id, 'project_created', `Created project "${project.name}"`, project._id);
+  await notifyUsers(
+    projectMembers.map(member => member.user),
+    `You have been added to project "${project.name}"`,
+    'info',
+    project._id,
+    null,
+    req.user.id
+  );
+
   const populatedProject = await Project.findById(project._id)
     .populate('createdBy', 'name email avatar')
     .populate('members.user', 'name email avatar role');
@@ -129,34 +130,11 @@ export const createProject = asyncHandler(async (req, res) => {
 /**
  * @desc    Update project
  * @route   PUT /api/projects/:id
- * @access  Private (Project Manager only)
+ * @access  Private (Owner or Project Manager)
  */
 export const updateProject = asyncHandler(async (req, res) => {
-  let project = await Project.findById(req.params.id);
-
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
-  // Check if user is the creator or a project manager member
-  const isCreator = project.createdBy.toString() === req.user.id;
-  const isPM = project.members.some(
-    member => 
-      member.user.toString() === req.user.id && 
-      member.role === 'Project Manager'
-  );
-
-  if (!isCreator && !isPM) {
-    return res.status(403).json({
-      success: false,
-      message: 'Only Project Manager can update this project'
-    });
-  }
-
-  const { name, description, status, startDate, endDate } = req.body;
+  let project;
+  const { name, description, status, startDate, endDate, reminders } = req.body;
 
   const updateFields = {};
   if (name) updateFields.name = name;
@@ -164,6 +142,7 @@ export const updateProject = asyncHandler(async (req, res) => {
   if (status) updateFields.status = status;
   if (startDate) updateFields.startDate = startDate;
   if (endDate) updateFields.endDate = endDate;
+  if (reminders !== undefined) Object.assign(updateFields, parseReminderSettings(reminders));
 
   project = await Project.findByIdAndUpdate(
     req.params.id,
@@ -176,6 +155,8 @@ export const updateProject = asyncHandler(async (req, res) => {
     .populate('createdBy', 'name email avatar')
     .populate('members.user', 'name email avatar role');
 
+  emitProjectUpdate(project._id, project, 'update', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Project updated successfully',
@@ -186,25 +167,10 @@ export const updateProject = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete project
  * @route   DELETE /api/projects/:id
- * @access  Private (Project Manager - Creator only)
+ * @access  Private (Owner only)
  */
 export const deleteProject = asyncHandler(async (req, res) => {
-  const project = await Project.findById(req.params.id);
-
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
-  // Only creator can delete project
-  if (project.createdBy.toString() !== req.user.id) {
-    return res.status(403).json({
-      success: false,
-      message: 'Only the project creator can delete this project'
-    });
-  }
+  const { project } = req;
 
   // Soft delete - mark as inactive
   project.isActive = false;
@@ -216,6 +182,8 @@ export const deleteProject = asyncHandler(async (req, res) => {
     { isActive: false }
   );
 
+  emitProjectUpdate(project._id, { _id: project._id }, 'delete', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Project deleted successfully',
@@ -226,34 +194,11 @@ export const deleteProject = asyncHandler(async (req, res) => {
 /**
  * @desc    Add member to project
  * @route   POST /api/projects/:id/members
- * @access  Private (Project Manager only)
+ * @access  Private (Owner or Project Manager)
  */
 export const addMember = asyncHandler(async (req, res) => {
   const { userId, role } = req.body;
-
-  const project = await Project.findById(req.params.id);
-
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
-  // Check if user is authorized
-  const isCreator = project.createdBy.toString() === req.user.id;
-  const isPM = project.members.some(
-    member => 
-      member.user.toString() === req.user.id && 
-      member.role === 'Project Manager'
-  );
-
-  if (!isCreator && !isPM) {
-    return res.status(403).json({
-      success: false,
-      message: 'Only Project Manager can add members'
-    });
-  }
+  const { project } = req;
 
   // Check if user is already a member
   const isMember = project.members.some(
@@ -278,6 +223,19 @@ export const addMember = asyncHandler(async (req, res) => {
     .populate('createdBy', 'name email avatar')
     .populate('members.user', 'name email avatar role');
 
+  const addedMember = updatedProject.members.find(
+    member => member.user && member.user._id.toString() === userId
+  );
+  await logActivity(
+    req.user.id,
+    'member_added',
+    `Added ${addedMember ? addedMember.user.name : 'a member'} to the project as ${role || 'Team Member'}`,
+    project._id
+  );
+  await createNotification(userId, `You have been added to project "${project.name}"`, 'info', project._id);
+
+  emitProjectUpdate(project._id, updatedProject, 'member-added', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Member added successfully',
@@ -286,35 +244,61 @@ export const addMember = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Remove member from project
- * @route   DELETE /api/projects/:id/members/:userId
- * @access  Private (Project Manager only)
+ * @desc    Change a member's project role
+ * @route   PATCH /api/projects/:id/members/:userId
+ * @access  Private (Owner or Project Manager)
  */
-export const removeMember = asyncHandler(async (req, res) => {
-  const project = await Project.findById(req.params.id);
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const { project } = req;
 
-  if (!project) {
-    return res.status(404).json({
+  if (project.createdBy.toString() === req.params.userId) {
+    return res.status(400).json({
       success: false,
-      message: 'Project not found'
+      message: 'Cannot change the role of the project owner'
     });
   }
 
-  // Check if user is authorized
-  const isCreator = project.createdBy.toString() === req.user.id;
-  const isPM = project.members.some(
-    member => 
-      member.user.toString() === req.user.id && 
-      member.role === 'Project Manager'
+  const member = project.members.find(
+    m => m.user.toString() === req.params.userId
   );
 
-  if (!isCreator && !isPM) {
-    return res.status(403).json({
+  if (!member) {
+    return res.status(404).json({
       success: false,
-      message: 'Only Project Manager can remove members'
+      message: 'User is not a member of this project'
     });
   }
 
+  const previousRole = member.role;
+  member.role = role;
+  await project.save();
+
+  if (previousRole !== role) {
+    await createNotification(req.params.userId, `Your role in project "${project.name}" is now ${role}`, 'info', project._id);
+  }
+
+  const updatedProject = await Project.findById(project._id)
+    .populate('createdBy', 'name email avatar')
+    .populate('members.user', 'name email avatar role');
+
+  emitProjectUpdate(project._id, updatedProject, 'member-updated', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Member role updated successfully',
+    data: updatedProject
+  });
+});
+
+/**
+ * @desc    Remove member from project
+ * @route   DELETE /api/projects/:id/members/:userId
+ * @access  Private (Owner or Project Manager)
+ */
+export const removeMember = asyncHandler(async (req, res) => {
+  const { project } = req;
+
   // Cannot remove project creator
   if (project.createdBy.toString() === req.params.userId) {
     return res.status(400).json({
@@ -323,16 +307,27 @@ export const removeMember = asyncHandler(async (req, res) => {
     });
   }
 
+  const wasMember = project.members.some(
+    member => member.user.toString() === req.params.userId
+  );
+
   project.members = project.members.filter(
     member => member.user.toString() !== req.params.userId
   );
 
   await project.save();
 
+  if (wasMember) {
+    removeUserFromProject(req.params.userId, project._id);
+    await createNotification(req.params.userId, `You have been removed from project "${project.name}"`, 'warning', project._id);
+  }
+
   const updatedProject = await Project.findById(project._id)
     .populate('createdBy', 'name email avatar')
     .populate('members.user', 'name email avatar role');
 
+  emitProjectUpdate(project._id, updatedProject, 'member-removed', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Member removed successfully',
@@ -346,27 +341,7 @@ export const removeMember = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const getProjectStats = asyncHandler(async (req, res) => {
-  const project = await Project.findById(req.params.id);
-
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
-  // Check if user has access
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this project'
-    });
-  }
+  const doneStatuses = getDoneStatuses(getWorkflow(req.project));
 
   // Aggregate task statistics
   const taskStats = await Task.aggregate([
@@ -403,7 +378,7 @@ export const getProjectStats = asyncHandler(async (req, res) => {
   const delayedTasks = await Task.countDocuments({
     project: req.params.id,
     isActive: true,
-    status: { $ne: 'Done' },
+    status: { $nin: doneStatuses },
     dueDate: { $lt: new Date() }
   });
 
@@ -413,7 +388,9 @@ export const getProjectStats = asyncHandler(async (req, res) => {
     isActive: true
   });
 
-  const completedTasks = taskStats.find(s => s._id === 'Done')?.count || 0;
+  const completedTasks = taskStats
+    .filter(s => doneStatuses.includes(s._id))
+    .reduce((sum, s) => sum + s.count, 0);
   const completionPercentage = totalTasks > 0 
     ? Math.round((completedTasks / totalTasks) * 100) 
     : 0;
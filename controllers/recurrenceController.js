@@ -0,0 +1,175 @@
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { reserveTaskKey } from '../utils/projectKey.js';
+import { getWorkflow, getInitialStatus, getDoneStatuses } from '../utils/workflow.js';
+import { scheduleNextOccurrence } from '../utils/recurrence.js';
+import { logActivity } from './activityController.js';
+import { createNotification } from './notificationController.js';
+import { emitTaskUpdate } from '../config/socket.js';
+
+// Series handled per scheduler run
+const BATCH_SIZE = 100;
+
+const startOfNextDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(24, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Create the next task of a series from its first task
+ *
+ * The series is claimed by moving its `nextOccurrence` forward in a single update, so a task
+ * completed while the scheduler runs (or two scheduler instances) cannot create it twice.
+ *
+ * @param {Object} series - First task of the series
+ * @param {Object|null} actor - User whose action created the task (null for the scheduler)
+ * @param {Date} [catchUpUntil] - Skip occurrences before the last one due before this date
+ *                                (when the scheduler was not running on their day)
+ */
+const createOccurrence = async (series, actor, catchUpUntil = null) => {
+  const { recurrence } = series;
+  const claimedOccurrence = recurrence.nextOccurrence;
+  let dueDate = claimedOccurrence;
+  let following = scheduleNextOccurrence(recurrence, dueDate, recurrence.occurrences + 1);
+
+  while (catchUpUntil && following && following < catchUpUntil) {
+    dueDate = following;
+    following = scheduleNextOccurrence(recurrence, dueDate, recurrence.occurrences + 1);
+  }
+
+  const project = await Project.findById(series.project);
+  if (!project || !project.isActive) return null;
+
+  const claimed = await Task.findOneAndUpdate(
+    { _id: series._id, isActive: true, 'recurrence.nextOccurrence': claimedOccurrence },
+    {
+      $set: { 'recurrence.nextOccurrence': following },
+      $inc: { 'recurrence.occurrences': 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const highestPositionTask = await Task.findOne({ project: project._id })
+    .sort('-position')
+    .select('position');
+  const { number, key } = await reserveTaskKey(project._id);
+
+  const task = await Task.create({
+    title: claimed.title,
+    description: claimed.description,
+    project: project._id,
+    number,
+    key,
+    priority: claimed.priority,
+    status: getInitialStatus(getWorkflow(project)),
+    assignedTo: claimed.assignedTo,
+    createdBy: actor ? actor.id : claimed.createdBy,
+    dueDate,
+    labels: claimed.labels,
+    series: claimed._id,
+    position: highestPositionTask ? highestPositionTask.position + 1 : 0
+  });
+
+  await logActivity(actor ? actor.id : claimed.createdBy, 'task_created', `Created recurring task "${task.title}"`, project._id, task._id);
+
+  if (task.assignedTo) {
+    await createNotification(task.assignedTo, `Recurring task "${task.title}" is due ${dueDate.toDateString()}`, 'info', project._id, task._id);
+  }
+
+  const populatedTask = await Task.findById(task._id)
+    .populate('assignedTo', 'name email avatar')
+    .populate('createdBy', 'name email avatar')
+    .populate('sprint', 'name');
+
+  emitTaskUpdate(project._id, populatedTask, 'create', actor);
+
+  return task;
+};
+
+// @desc    Create the next task of a recurring series when its latest open task is completed (helper function)
+export const createNextOccurrence = async (task, workflow, actor) => {
+  const seriesId = task.series || (task.recurrence && task.recurrence.nextOccurrence ? task._id : null);
+  if (!seriesId) return null;
+
+  const series = await Task.findOne({
+    _id: seriesId,
+    isActive: true,
+    'recurrence.nextOccurrence': { $ne: null }
+  });
+  if (!series) return null;
+
+  // Wait for the series' other open tasks (e.g. one already created on its date)
+  const openTask = await Task.exists({
+    _id: { $ne: task._id },
+    $or: [{ _id: seriesId }, { series: seriesId }],
+    isActive: true,
+    status: { $nin: getDoneStatuses(workflow) }
+  });
+  if (openTask) return null;
+
+  return createOccurrence(series, actor);
+};
+
+// @desc    Create the tasks of recurring series whose next due date is today or earlier (helper function)
+export const createDueOccurrences = async (now = new Date()) => {
+  const dueBefore = startOfNextDay(now);
+
+  const seriesList = await Task.find({
+    isActive: true,
+    'recurrence.nextOccurrence': { $lt: dueBefore }
+  }).limit(BATCH_SIZE);
+
+  let created = 0;
+  for (const series of seriesList) {
+    try {
+      if (await createOccurrence(series, null, dueBefore)) created += 1;
+    } catch (error) {
+      console.error(`Error creating the next task of series ${series.key}:`, error);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * @desc    Get the recurring series a task belongs to, with all of its tasks
+ * @route   GET /api/tasks/:id/series
+ * @access  Private
+ */
+export const getTaskSeries = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const seriesId = task.series || (task.recurrence && task.recurrence.frequency ? task._id : null);
+
+  const series = seriesId ? await Task.findOne({ _id: seriesId, isActive: true }) : null;
+  if (!series) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task is not part of a recurring series'
+    });
+  }
+
+  const tasks = await Task.find({
+    $or: [{ _id: series._id }, { series: series._id }],
+    isActive: true
+  })
+    .populate('assignedTo', 'name email avatar')
+    .sort('dueDate')
+    .select('key title status priority assignedTo dueDate series');
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    data: {
+      series: {
+        _id: series._id,
+        key: series.key,
+        title: series.title,
+        recurrence: series.recurrence
+      },
+      tasks
+    }
+  });
+});
@@ -0,0 +1,179 @@
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import Sprint from '../models/Sprint.js';
+import Comment from '../models/Comment.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const SEARCH_TYPES = ['projects', 'tasks', 'sprints', 'comments'];
+const SNIPPET_RADIUS = 80;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of the search query, without text search operators (quotes, negations)
+ */
+const getSearchTerms = (q) => q
+  .replace(/"/g, ' ')
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-'))
+  .map(term => term.toLowerCase());
+
+/**
+ * Cut a window of text around the first matching term and wrap matches in <mark>
+ * Text is HTML-escaped so the snippet can be rendered as-is
+ */
+const buildSnippet = (text, terms) => {
+  if (!text) return '';
+
+  // Text indexes match stemmed words, so highlight words starting with a term
+  const pattern = new RegExp(`\\b((?:${terms.map(escapeRegex).join('|')})\\w*)`, 'gi');
+  const firstMatch = terms.length ? text.search(pattern) : -1;
+
+  let start = 0;
+  let end = Math.min(text.length, SNIPPET_RADIUS * 2);
+  if (firstMatch > SNIPPET_RADIUS) {
+    start = firstMatch - SNIPPET_RADIUS;
+    end = Math.min(text.length, firstMatch + SNIPPET_RADIUS);
+  }
+
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  if (!terms.length) {
+    return escapeHtml(excerpt);
+  }
+
+  return excerpt
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+/**
+ * Run a text query returning the given fields, best matches first
+ */
+const textSearch = (Model, q, filter, fields, limit) => {
+  const projection = { score: { $meta: 'textScore' } };
+  fields.split(' ').forEach(field => { projection[field] = 1; });
+
+  return Model.find({ $text: { $search: q }, ...filter }, projection)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit);
+};
+
+/**
+ * @desc    Search projects, tasks, sprints and comments the user has access to
+ * @route   GET /api/search?q=&types=&limit=
+ * @access  Private
+ */
+export const search = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(type => SEARCH_TYPES.includes(type))
+    : SEARCH_TYPES;
+
+  if (!q) {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query (q) is required'
+    });
+  }
+
+  // Only search inside projects the user is a member of
+  const projects = await Project.find({
+    $or: [
+      { createdBy: req.user.id },
+      { 'members.user': req.user.id }
+    ],
+    isActive: true
+  }).select('_id name');
+
+  const projectIds = projects.map(p => p._id);
+  const projectNames = {};
+  projects.forEach(p => { projectNames[p._id.toString()] = p.name; });
+
+  const terms = getSearchTerms(q);
+  const results = { projects: [], tasks: [], sprints: [], comments: [] };
+
+  await Promise.all(types.map(async (type) => {
+    if (type === 'projects') {
+      const matches = await textSearch(Project, q, { _id: { $in: projectIds }, isActive: true }, 'name description status', limit);
+      results.projects = matches.map(project => ({
+        id: project._id,
+        name: project.name,
+        status: project.status,
+        score: project.get('score'),
+        highlights: {
+          name: buildSnippet(project.name, terms),
+          description: buildSnippet(project.description, terms)
+        }
+      }));
+    }
+
+    if (type === 'tasks') {
+      const matches = await textSearch(Task, q, { project: { $in: projectIds }, isActive: true }, 'title description status priority project', limit);
+      results.tasks = matches.map(task => ({
+        id: task._id,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        project: { id: task.project, name: projectNames[task.project.toString()] },
+        score: task.get('score'),
+        highlights: {
+          title: buildSnippet(task.title, terms),
+          description: buildSnippet(task.description, terms)
+        }
+      }));
+    }
+
+    if (type === 'sprints') {
+      const matches = await textSearch(Sprint, q, { project: { $in: projectIds }, isActive: true }, 'name goal status project', limit);
+      results.sprints = matches.map(sprint => ({
+        id: sprint._id,
+        name: sprint.name,
+        status: sprint.status,
+        project: { id: sprint.project, name: projectNames[sprint.project.toString()] },
+        score: sprint.get('score'),
+        highlights: {
+          name: buildSnippet(sprint.name, terms),
+          goal: buildSnippet(sprint.goal, terms)
+        }
+      }));
+    }
+
+    if (type === 'comments') {
+      const matches = await textSearch(Comment, q, { project: { $in: projectIds }, isDeleted: false }, 'text task project user createdAt', limit)
+        .populate('task', 'title')
+        .populate('user', 'name avatar');
+      results.comments = matches.map(comment => ({
+        id: comment._id,
+        task: comment.task ? { id: comment.task._id, title: comment.task.title } : null,
+        project: { id: comment.project, name: projectNames[comment.project.toString()] },
+        user: comment.user,
+        createdAt: comment.createdAt,
+        score: comment.get('score'),
+        highlights: {
+          text: buildSnippet(comment.text, terms)
+        }
+      }));
+    }
+  }));
+
+  res.status(200).json({
+    success: true,
+    query: q,
+    counts: {
+      projects: results.projects.length,
+      tasks: results.tasks.length,
+      sprints: results.sprints.length,
+      comments: results.comments.length
+    },
+    data: results
+  });
+});
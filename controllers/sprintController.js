@@ -1,8 +1,23 @@
+import mongoose from 'mongoose';
 import Sprint from '../models/Sprint.js';
 import Task from '../models/Task.js';
-import Project from '../models/Project.js';
 import asyncHandler from '../utils/asyncHandler.js';
-import mongoose from 'mongoose';
+import { logActivity } from './activityController.js';
+import { snapshotTask, recordTaskChanges } from './taskHistoryController.js';
+import { emitSprintUpdate } from '../config/socket.js';
+import { getWorkflow, isDoneStatus } from '../utils/workflow.js';
+import { getProjectRole } from '../utils/permissions.js';
+import {
+  getSprintTaskStats,
+  takeCommitmentSnapshot,
+  buildBurndown,
+  BURNDOWN_UNITS,
+  getCapacityBreakdown,
+  CAPACITY_UNITS
+} from '../utils/sprintStats.js';
+
+const DEFAULT_VELOCITY_SPRINTS = 6;
+const MAX_VELOCITY_SPRINTS = 20;
 
 /**
  * @desc    Get all sprints for a project
@@ -12,27 +27,6 @@ import mongoose from 'mongoose';
 export const getSprints = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
 
-  // Verify project access
-  const project = await Project.findById(projectId);
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this project'
-    });
-  }
-
   const sprints = await Sprint.find({ project: projectId, isActive: true })
     .populate('createdBy', 'name email avatar')
     .sort('-createdAt');
@@ -54,27 +48,6 @@ export const getSprint = asyncHandler(async (req, res) => {
     .populate('createdBy', 'name email avatar')
     .populate('project', 'name');
 
-  if (!sprint) {
-    return res.status(404).json({
-      success: false,
-      message: 'Sprint not found'
-    });
-  }
-
-  // Verify access through project
-  const project = await Project.findById(sprint.project);
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this sprint'
-    });
-  }
-
   res.status(200).json({
     success: true,
     data: sprint
@@ -84,21 +57,12 @@ export const getSprint = asyncHandler(async (req, res) => {
 /**
  * @desc    Create new sprint
  * @route   POST /api/projects/:projectId/sprints
- * @access  Private (Project Manager only)
+ * @access  Private (Owner or Project Manager)
  */
 export const createSprint = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
   const { name, description, startDate, endDate, goal } = req.body;
 
-  // Verify project exists
-  const project = await Project.findById(projectId);
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
-  }
-
   const sprint = await Sprint.create({
     name,
     description,
@@ -109,9 +73,13 @@ export const createSprint = asyncHandler(async (req, res) => {
     createdBy: req.user.id
   });
 
+  await logActivity(req.user.id, 'sprint_created', `Created sprint "${sprint.name}"`, projectId);
+
   const populatedSprint = await Sprint.findById(sprint._id)
     .populate('createdBy', 'name email avatar');
 
+  emitSprintUpdate(projectId, populatedSprint, 'create', req.user);
+
   res.status(201).json({
     success: true,
     message: 'Sprint created successfully',
@@ -122,17 +90,10 @@ export const createSprint = asyncHandler(async (req, res) => {
 /**
  * @desc    Update sprint
  * @route   PUT /api/sprints/:id
- * @access  Private (Project Manager only)
+ * @access  Private (Owner or Project Manager)
  */
 export const updateSprint = asyncHandler(async (req, res) => {
-  let sprint = await Sprint.findById(req.params.id);
-
-  if (!sprint) {
-    return res.status(404).json({
-      success: false,
-      message: 'Sprint not found'
-    });
-  }
+  let { sprint } = req;
 
   const { name, description, startDate, endDate, goal, status } = req.body;
 
@@ -142,7 +103,17 @@ export const updateSprint = asyncHandler(async (req, res) => {
   if (startDate) updateFields.startDate = startDate;
   if (endDate) updateFields.endDate = endDate;
   if (goal !== undefined) updateFields.goal = goal;
-  if (status) updateFields.status = status;
+
+  // Starting and completing go through their own actions; only cancelling is a plain update
+  if (status && status !== sprint.status) {
+    if (status !== 'Cancelled' || sprint.status === 'Completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/sprints/:id/start or /complete to change the sprint status (only planned or active sprints can be cancelled here)'
+      });
+    }
+    updateFields.status = status;
+  }
 
   sprint = await Sprint.findByIdAndUpdate(
     req.params.id,
@@ -153,6 +124,8 @@ export const updateSprint = asyncHandler(async (req, res) => {
     }
   ).populate('createdBy', 'name email avatar');
 
+  emitSprintUpdate(sprint.project, sprint, 'update', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Sprint updated successfully',
@@ -161,20 +134,170 @@ export const updateSprint = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete sprint
- * @route   DELETE /api/sprints/:id
- * @access  Private (Project Manager only)
+ * @desc    Start a planned sprint (one active sprint per project)
+ * @route   POST /api/sprints/:id/start
+ * @access  Private (Owner or Project Manager)
  */
-export const deleteSprint = asyncHandler(async (req, res) => {
-  const sprint = await Sprint.findById(req.params.id);
+export const startSprint = asyncHandler(async (req, res) => {
+  let { sprint } = req;
+
+  if (sprint.status !== 'Planning') {
+    return res.status(400).json({
+      success: false,
+      message: `Only planned sprints can be started (this one is ${sprint.status})`
+    });
+  }
+
+  const activeSprint = await Sprint.findOne({ project: sprint.project, status: 'Active', isActive: true }).select('name');
+  if (activeSprint) {
+    return res.status(409).json({
+      success: false,
+      message: `Sprint "${activeSprint.name}" is already active. Complete it before starting another one.`,
+      data: { activeSprint }
+    });
+  }
+
+  // Record what the sprint commits to as it starts
+  const commitment = await takeCommitmentSnapshot(sprint);
+
+  try {
+    sprint = await Sprint.findOneAndUpdate(
+      { _id: sprint._id, status: 'Planning' },
+      { status: 'Active', commitment },
+      { new: true }
+    ).populate('createdBy', 'name email avatar');
+  } catch (error) {
+    // Another sprint of the project was started at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another sprint of this project is already active'
+      });
+    }
+    throw error;
+  }
 
   if (!sprint) {
-    return res.status(404).json({
+    return res.status(409).json({
+      success: false,
+      message: 'Sprint was changed by someone else, reload and try again'
+    });
+  }
+
+  await logActivity(req.user.id, 'sprint_started', `Started sprint "${sprint.name}"`, sprint.project);
+
+  emitSprintUpdate(sprint.project, sprint, 'start', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sprint started successfully',
+    data: sprint
+  });
+});
+
+/**
+ * @desc    Complete the active sprint, moving unfinished tasks to the backlog or another sprint
+ * @route   POST /api/sprints/:id/complete  { moveTo: 'backlog' | 'next' | <sprint ID> }
+ * @access  Private (Owner or Project Manager)
+ */
+export const completeSprint = asyncHandler(async (req, res) => {
+  let { sprint } = req;
+  const moveTo = req.body.moveTo || 'backlog';
+
+  if (sprint.status !== 'Active') {
+    return res.status(400).json({
       success: false,
-      message: 'Sprint not found'
+      message: `Only active sprints can be completed (this one is ${sprint.status})`
     });
   }
 
+  // Where unfinished tasks go: the backlog, the next planned sprint or a given planned sprint
+  let targetSprint = null;
+  if (moveTo === 'next') {
+    targetSprint = await Sprint.findOne({ project: sprint.project, status: 'Planning', isActive: true })
+      .sort('startDate');
+    if (!targetSprint) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no planned sprint to move unfinished tasks to'
+      });
+    }
+  } else if (moveTo !== 'backlog') {
+    targetSprint = mongoose.isValidObjectId(moveTo)
+      ? await Sprint.findOne({ _id: moveTo, project: sprint.project, isActive: true })
+      : null;
+    if (!targetSprint || targetSprint.status !== 'Planning' || targetSprint._id.equals(sprint._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "moveTo must be 'backlog', 'next' or the ID of a planned sprint of this project"
+      });
+    }
+  }
+
+  const workflow = getWorkflow(req.project);
+  const tasks = await Task.find({ sprint: sprint._id, isActive: true });
+  const completed = tasks.filter(task => isDoneStatus(workflow, task.status));
+  const unfinished = tasks.filter(task => !isDoneStatus(workflow, task.status));
+  const points = list => list.reduce((sum, task) => sum + (task.storyPoints || 0), 0);
+  const completedAt = new Date();
+
+  // Move unfinished tasks one by one so each move shows up in the task's history
+  for (const task of unfinished) {
+    const before = snapshotTask(task);
+    task.sprint = targetSprint ? targetSprint._id : null;
+    await task.save();
+    await recordTaskChanges(before, task, req.user.id);
+  }
+
+  const report = {
+    completedAt,
+    completedBy: req.user.id,
+    totalTasks: tasks.length,
+    completedTasks: completed.length,
+    totalPoints: points(tasks),
+    completedPoints: points(completed),
+    committedPoints: sprint.commitment && sprint.commitment.takenAt ? sprint.commitment.points : null,
+    completedTaskIds: completed.map(task => task._id),
+    movedTaskIds: unfinished.map(task => task._id),
+    movedPoints: points(unfinished),
+    movedTo: targetSprint ? 'sprint' : 'backlog',
+    movedToSprint: targetSprint ? targetSprint._id : null
+  };
+
+  sprint = await Sprint.findByIdAndUpdate(
+    sprint._id,
+    { status: 'Completed', report },
+    { new: true }
+  ).populate('createdBy', 'name email avatar');
+
+  const destination = targetSprint ? `sprint "${targetSprint.name}"` : 'the backlog';
+  await logActivity(
+    req.user.id,
+    'sprint_completed',
+    `Completed sprint "${sprint.name}": ${completed.length} of ${tasks.length} tasks done, ${unfinished.length} moved to ${destination}`,
+    sprint.project
+  );
+
+  emitSprintUpdate(sprint.project, sprint, 'complete', req.user);
+  if (targetSprint && unfinished.length > 0) {
+    emitSprintUpdate(sprint.project, targetSprint, 'update', req.user);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Sprint completed successfully',
+    data: sprint
+  });
+});
+
+/**
+ * @desc    Delete sprint
+ * @route   DELETE /api/sprints/:id
+ * @access  Private (Owner or Project Manager)
+ */
+export const deleteSprint = asyncHandler(async (req, res) => {
+  const { sprint } = req;
+
   // Soft delete
   sprint.isActive = false;
   await sprint.save();
@@ -185,6 +308,8 @@ export const deleteSprint = asyncHandler(async (req, res) => {
     { $unset: { sprint: 1 } }
   );
 
+  emitSprintUpdate(sprint.project, { _id: sprint._id }, 'delete', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Sprint deleted successfully',
@@ -198,54 +323,15 @@ export const deleteSprint = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const getSprintStats = asyncHandler(async (req, res) => {
-  const sprint = await Sprint.findById(req.params.id);
-
-  if (!sprint) {
-    return res.status(404).json({
-      success: false,
-      message: 'Sprint not found'
-    });
-  }
-
-  // Verify access
-  const project = await Project.findById(sprint.project);
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this sprint'
-    });
-  }
-
-  // Aggregate task statistics
-  const taskStats = await Task.aggregate([
-    {
-      $match: {
-        sprint: new mongoose.Types.ObjectId(req.params.id),
-        isActive: true
-      }
-    },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 }
-      }
-    }
-  ]);
+  const { sprint } = req;
 
-  const totalTasks = await Task.countDocuments({
-    sprint: req.params.id,
-    isActive: true
-  });
-
-  const completedTasks = taskStats.find(s => s._id === 'Done')?.count || 0;
-  const completionPercentage = totalTasks > 0 
-    ? Math.round((completedTasks / totalTasks) * 100) 
-    : 0;
+  const {
+    totalTasks,
+    completedTasks,
+    completionPercentage,
+    tasksByStatus,
+    ...work
+  } = await getSprintTaskStats(sprint, getWorkflow(req.project));
 
   // Calculate sprint progress based on dates
   const now = new Date();
@@ -262,7 +348,15 @@ export const getSprintStats = asyncHandler(async (req, res) => {
       completedTasks,
       completionPercentage,
       timeProgress: Math.round(timeProgress),
-      tasksByStatus: taskStats,
+      tasksByStatus,
+      totalPoints: work.totalPoints,
+      completedPoints: work.completedPoints,
+      unestimatedTasks: work.unestimatedTasks,
+      commitment: sprint.commitment && sprint.commitment.takenAt ? {
+        tasks: sprint.commitment.tasks,
+        points: sprint.commitment.points,
+        takenAt: sprint.commitment.takenAt
+      } : null,
       sprintInfo: {
         name: sprint.name,
         startDate: sprint.startDate,
@@ -275,35 +369,120 @@ export const getSprintStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get tasks in a sprint
- * @route   GET /api/sprints/:id/tasks
+ * @desc    Get daily burndown and burnup data of a sprint
+ * @route   GET /api/sprints/:id/burndown?unit=count|hours|points
  * @access  Private
  */
-export const getSprintTasks = asyncHandler(async (req, res) => {
-  const sprint = await Sprint.findById(req.params.id);
+export const getSprintBurndown = asyncHandler(async (req, res) => {
+  const unit = req.query.unit || 'count';
 
-  if (!sprint) {
-    return res.status(404).json({
+  if (!BURNDOWN_UNITS.includes(unit)) {
+    return res.status(400).json({
       success: false,
-      message: 'Sprint not found'
+      message: `Invalid unit. Allowed: ${BURNDOWN_UNITS.join(', ')}`
     });
   }
 
-  // Verify access
-  const project = await Project.findById(sprint.project);
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
+  const burndown = await buildBurndown(req.sprint, getWorkflow(req.project), unit);
+
+  res.status(200).json({
+    success: true,
+    data: burndown
+  });
+});
+
+/**
+ * @desc    Get each member's capacity compared with the work assigned to them
+ * @route   GET /api/sprints/:id/capacity
+ * @access  Private
+ */
+export const getSprintCapacity = asyncHandler(async (req, res) => {
+  const breakdown = await getCapacityBreakdown(req.sprint, getWorkflow(req.project));
+
+  res.status(200).json({
+    success: true,
+    data: breakdown
+  });
+});
 
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
+/**
+ * @desc    Set the capacity of team members for a sprint
+ * @route   PUT /api/sprints/:id/capacity  { unit, members: [{ userId, capacity }] }
+ * @access  Private (Owner or Project Manager)
+ */
+export const updateSprintCapacity = asyncHandler(async (req, res) => {
+  const { sprint, project } = req;
+  const { unit = 'hours', members } = req.body;
+
+  if (!CAPACITY_UNITS.includes(unit)) {
+    return res.status(400).json({
       success: false,
-      message: 'You do not have access to this sprint'
+      message: `Invalid unit. Allowed: ${CAPACITY_UNITS.join(', ')}`
     });
   }
 
+  if (!Array.isArray(members)) {
+    return res.status(400).json({
+      success: false,
+      message: 'members must be a list of { userId, capacity }'
+    });
+  }
+
+  const seen = new Set();
+  for (const member of members) {
+    const userId = member && String(member.userId);
+    const capacity = Number(member && member.capacity);
+
+    if (!member || !mongoose.isValidObjectId(userId) || !getProjectRole(project, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: `User '${member && member.userId}' is not a member of this project`
+      });
+    }
+
+    if (seen.has(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: `User '${userId}' is listed more than once`
+      });
+    }
+    seen.add(userId);
+
+    if (!Number.isFinite(capacity) || capacity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capacity must be a positive number'
+      });
+    }
+  }
+
+  sprint.capacity = {
+    unit,
+    members: members.map(member => ({ user: member.userId, capacity: Number(member.capacity) }))
+  };
+  await sprint.save();
+
+  const breakdown = await getCapacityBreakdown(sprint, getWorkflow(project));
+
+  emitSprintUpdate(sprint.project, sprint, 'update', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sprint capacity updated successfully',
+    data: breakdown
+  });
+});
+
+/**
+ * @desc    Get tasks in a sprint
+ * @route   GET /api/sprints/:id/tasks
+ * @access  Private
+ */
+export const getSprintTasks = asyncHandler(async (req, res) => {
+  const { sprint } = req;
+
   const tasks = await Task.find({ sprint: req.params.id, isActive: true })
+    .select('-comments')
     .populate('assignedTo', 'name email avatar')
     .populate('createdBy', 'name email avatar')
     .sort('position');
@@ -314,3 +493,58 @@ export const getSprintTasks = asyncHandler(async (req, res) => {
     data: tasks
   });
 });
+
+/**
+ * @desc    Get committed vs completed story points of the last sprints of a project
+ * @route   GET /api/projects/:id/velocity?sprints=
+ * @access  Private
+ */
+export const getProjectVelocity = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const workflow = getWorkflow(project);
+  const count = Math.min(Math.max(parseInt(req.query.sprints, 10) || DEFAULT_VELOCITY_SPRINTS, 1), MAX_VELOCITY_SPRINTS);
+
+  const sprints = await Sprint.find({ project: project._id, isActive: true, status: 'Completed' })
+    .sort('-endDate')
+    .limit(count);
+
+  // Oldest first, as a chart reads
+  // Sprints completed through the complete action carry their final numbers in their report
+  const velocity = await Promise.all(sprints.reverse().map(async (sprint) => {
+    const stats = sprint.report && sprint.report.completedAt
+      ? sprint.report
+      : await getSprintTaskStats(sprint, workflow);
+    const committed = sprint.commitment && sprint.commitment.takenAt ? sprint.commitment : null;
+
+    return {
+      sprintId: sprint._id,
+      name: sprint.name,
+      startDate: sprint.startDate,
+      endDate: sprint.endDate,
+      committedPoints: committed ? committed.points : null,
+      completedPoints: stats.completedPoints,
+      committedTasks: committed ? committed.tasks : null,
+      completedTasks: stats.completedTasks
+    };
+  }));
+
+  const completedPoints = velocity.map(sprint => sprint.completedPoints);
+  const averageVelocity = completedPoints.length
+    ? Math.round((completedPoints.reduce((sum, points) => sum + points, 0) / completedPoints.length) * 10) / 10
+    : 0;
+
+  // Share of committed points delivered, over the sprints that have a commitment
+  const withCommitment = velocity.filter(sprint => sprint.committedPoints);
+  const committedTotal = withCommitment.reduce((sum, sprint) => sum + sprint.committedPoints, 0);
+  const deliveredTotal = withCommitment.reduce((sum, sprint) => sum + Math.min(sprint.completedPoints, sprint.committedPoints), 0);
+
+  res.status(200).json({
+    success: true,
+    count: velocity.length,
+    data: {
+      sprints: velocity,
+      averageVelocity,
+      commitmentReliability: committedTotal > 0 ? Math.round((deliveredTotal / committedTotal) * 100) : null
+    }
+  });
+});
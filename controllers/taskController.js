@@ -1,83 +1,113 @@
+import mongoose from 'mongoose';
 import Task from '../models/Task.js';
 import Project from '../models/Project.js';
+import Comment from '../models/Comment.js';
+import TaskLink from '../models/TaskLink.js';
+import Worklog from '../models/Worklog.js';
+import Timer from '../models/Timer.js';
 import asyncHandler from '../utils/asyncHandler.js';
+import { getProjectRole, hasPermission } from '../utils/permissions.js';
+import { findTasks } from '../utils/taskQuery.js';
+import { reserveTaskKey } from '../utils/projectKey.js';
+import { getWorkflow, getInitialStatus, assertStatus, validateStatusChange, isDoneStatus, getDoneStatuses, loadWorkflows } from '../utils/workflow.js';
+import { validateHierarchy } from '../utils/taskHierarchy.js';
+import { checkBlockers } from '../utils/taskLinks.js';
+import { validateCustomFieldValues } from '../utils/customFields.js';
+import { resolveLabelIds } from '../utils/labels.js';
+import { buildSeriesRecurrence } from '../utils/recurrence.js';
+import { logActivity } from './activityController.js';
+import { snapshotTask, recordTaskChanges } from './taskHistoryController.js';
+import { createNotification, notifyUsers } from './notificationController.js';
+import { stopTaskTimers } from './timerController.js';
+import { createNextOccurrence } from './recurrenceController.js';
+import { emitTaskUpdate, emitTasksReordered } from '../config/socket.js';
 
 /**
- * @desc    Get all tasks for a project
- * @route   GET /api/projects/:projectId/tasks
- * @access  Private
+ * Notify the new and previous assignee when a task is (re)assigned
  */
-export const getTasks = asyncHandler(async (req, res) => {
-  const { projectId } = req.params;
+const notifyAssignment = async (task, previousAssignee, actorId) => {
+  const newAssignee = task.assignedTo ? (task.assignedTo._id || task.assignedTo).toString() : null;
+  const oldAssignee = previousAssignee ? previousAssignee.toString() : null;
 
-  // Verify project access
-  const project = await Project.findById(projectId);
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
+  if (newAssignee === oldAssignee) return;
+
+  if (newAssignee && newAssignee !== actorId) {
+    await createNotification(newAssignee, `You have been assigned to task "${task.title}"`, 'info', task.project, task._id);
+  }
+
+  if (oldAssignee && oldAssignee !== actorId) {
+    await createNotification(oldAssignee, `Task "${task.title}" has been reassigned`, 'info', task.project, task._id);
   }
+};
 
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
+/**
+ * Notify the assignee and creator of a task when its status changes
+ */
+const notifyStatusChange = async (task, previousStatus, actorId, workflow) => {
+  if (task.status === previousStatus) return;
+
+  await notifyUsers(
+    [task.assignedTo, task.createdBy],
+    `Task "${task.title}" moved from ${previousStatus} to ${task.status}`,
+    isDoneStatus(workflow, task.status) ? 'success' : 'info',
+    task.project,
+    task._id,
+    actorId
   );
-  const isCreator = project.createdBy.toString() === req.user.id;
+};
 
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this project'
-    });
-  }
+/**
+ * Reject a status change that breaks the project's workflow, listing every failed check
+ */
+const rejectStatusChange = (res, errors) => res.status(422).json({
+  success: false,
+  message: 'Status change is not allowed by the project workflow',
+  errors
+});
 
-  const tasks = await Task.find({ project: projectId, isActive: true })
-    .populate('assignedTo', 'name email avatar')
-    .populate('createdBy', 'name email avatar')
-    .populate('sprint', 'name')
-    .populate('comments.user', 'name email avatar')
-    .sort('position');
+/**
+ * @desc    Get tasks for a project (filterable, sortable and paginated, see utils/taskQuery.js)
+ * @route   GET /api/tasks/project/:projectId
+ * @access  Private
+ */
+export const getTasks = asyncHandler(async (req, res) => {
+  const { tasks, ...pagination } = await findTasks(
+    { project: req.project._id, isActive: true },
+    req.query,
+    {
+      userId: req.user.id,
+      workflows: new Map([[req.project._id.toString(), getWorkflow(req.project)]]),
+      customFields: req.project.customFields,
+      defaultSort: 'position',
+      prepare: query => query
+        .select('-comments')
+        .populate('assignedTo', 'name email avatar')
+        .populate('createdBy', 'name email avatar')
+        .populate('sprint', 'name')
+    }
+  );
 
   res.status(200).json({
     success: true,
     count: tasks.length,
+    ...pagination,
     data: tasks
   });
 });
 
 /**
- * @desc    Get single task
+ * @desc    Get single task (by ID or by key, e.g. PROJ-123)
  * @route   GET /api/tasks/:id
+ * @route   GET /api/tasks/key/:key
  * @access  Private
  */
 export const getTask = asyncHandler(async (req, res) => {
-  const task = await Task.findById(req.params.id)
+  const task = await Task.findById(req.task._id)
+    .select('-comments')
     .populate('assignedTo', 'name email avatar')
     .populate('createdBy', 'name email avatar')
-    .populate('project', 'name')
-    .populate('sprint', 'name')
-    .populate('comments.user', 'name email avatar');
-
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found'
-    });
-  }
-
-  // Verify access through project
-  const project = await Project.findById(task.project);
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this task'
-    });
-  }
+    .populate('project', 'name key')
+    .populate('sprint', 'name');
 
   res.status(200).json({
     success: true,
@@ -87,48 +117,67 @@ export const getTask = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Create new task
- * @route   POST /api/projects/:projectId/tasks
- * @access  Private (Project Manager only)
+ * @route   POST /api/tasks/project/:projectId
+ * @access  Private (Owner or Project Manager)
  */
 export const createTask = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
-  const { title, description, priority, assignedTo, dueDate, sprint, estimatedHours, status } = req.body;
+  const { title, description, priority, assignedTo, dueDate, sprint, estimatedHours, storyPoints, status, issueType, parent, customFields, labels, recurrence } = req.body;
+  const workflow = getWorkflow(req.project);
 
-  // Verify project exists and user has access
-  const project = await Project.findById(projectId);
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      message: 'Project not found'
-    });
+  if (status) {
+    assertStatus(workflow, status);
   }
 
+  const { set: customFieldValues } = validateCustomFieldValues(req.project, customFields || {});
+  const taskRecurrence = recurrence ? await buildSeriesRecurrence(null, recurrence, dueDate) : undefined;
+
+  await validateHierarchy({
+    projectId,
+    issueType: issueType || 'Task',
+    parentId: parent || null
+  });
+
   // Get the highest position for tasks in this project
   const highestPositionTask = await Task.findOne({ project: projectId })
     .sort('-position')
     .select('position');
   
   const position = highestPositionTask ? highestPositionTask.position + 1 : 0;
+  const { number, key } = await reserveTaskKey(projectId);
 
   const task = await Task.create({
     title,
     description,
     project: projectId,
+    number,
+    key,
+    issueType: issueType || 'Task',
+    parent: parent || null,
     priority: priority || 'Medium',
-    status: status || 'To Do',
+    status: status || getInitialStatus(workflow),
     assignedTo: assignedTo || null,
     createdBy: req.user.id,
     dueDate,
     sprint: sprint || null,
     estimatedHours: estimatedHours || 0,
+    storyPoints: storyPoints !== undefined ? storyPoints : null,
+    customFields: customFieldValues,
+    labels: labels ? resolveLabelIds(req.project, labels) : [],
+    recurrence: taskRecurrence,
     position
   });
 
+  await logActivity(req.user.id, 'task_created', `Created task "${task.title}"`, projectId, task._id);
+  await notifyAssignment(task, null, req.user.id);
+
   const populatedTask = await Task.findById(task._id)
     .populate('assignedTo', 'name email avatar')
     .populate('createdBy', 'name email avatar')
     .populate('sprint', 'name');
 
+  emitTaskUpdate(projectId, populatedTask, 'create', req.user);
+
   res.status(201).json({
     success: true,
     message: 'Task created successfully',
@@ -142,39 +191,14 @@ export const createTask = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const updateTask = asyncHandler(async (req, res) => {
-  let task = await Task.findById(req.params.id);
+  let { task } = req;
 
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found'
-    });
-  }
-
-  // Verify project access
-  const project = await Project.findById(task.project);
-  const isMember = project.members.some(
-    member => member.user.toString() === req.user.id
-  );
-  const isCreator = project.createdBy.toString() === req.user.id;
-  const isPM = project.members.some(
-    member => 
-      member.user.toString() === req.user.id && 
-      member.role === 'Project Manager'
-  );
-
-  if (!isMember && !isCreator) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have access to this task'
-    });
-  }
-
-  // Team members can only update status and add comments
-  // Project managers can update all fields
-  const allowedFields = req.user.role === 'Project Manager' || isPM
-    ? ['title', 'description', 'status', 'priority', 'assignedTo', 'dueDate', 'sprint', 'estimatedHours', 'actualHours']
-    : ['status', 'actualHours'];
+  // Team members can only update the status
+  // Owners and project managers can update all fields
+  // actualHours is the sum of the task's worklog entries and cannot be set directly
+  const allowedFields = hasPermission(req.projectRole, 'task:edit')
+    ? ['title', 'description', 'status', 'priority', 'assignedTo', 'dueDate', 'sprint', 'estimatedHours', 'storyPoints', 'issueType', 'parent', 'customFields', 'labels', 'recurrence']
+    : ['status'];
 
   const updateFields = {};
   allowedFields.forEach(field => {
@@ -183,9 +207,90 @@ export const updateTask = asyncHandler(async (req, res) => {
     }
   });
 
+  if (updateFields.labels !== undefined) {
+    updateFields.labels = updateFields.labels ? resolveLabelIds(req.project, updateFields.labels) : [];
+  }
+
+  // Custom field values are merged into the task's values (null clears one)
+  const update = { $set: {}, $unset: {} };
+  if (updateFields.customFields !== undefined) {
+    const { set, unset } = validateCustomFieldValues(
+      req.project,
+      updateFields.customFields,
+      Object.fromEntries(task.customFields || [])
+    );
+    Object.entries(set).forEach(([key, value]) => { update.$set[`customFields.${key}`] = value; });
+    unset.forEach(key => { update.$unset[`customFields.${key}`] = ''; });
+    delete updateFields.customFields;
+  }
+
+  // The rule lives on the first task of a series (null stops the series)
+  if (updateFields.recurrence !== undefined) {
+    if (task.series) {
+      return res.status(400).json({
+        success: false,
+        message: 'Change the recurrence on the first task of the series'
+      });
+    }
+
+    if (updateFields.recurrence === null) {
+      update.$unset.recurrence = '';
+    } else {
+      update.$set.recurrence = await buildSeriesRecurrence(task, updateFields.recurrence, updateFields.dueDate || task.dueDate);
+    }
+    delete updateFields.recurrence;
+  } else if (
+    task.recurrence && task.recurrence.frequency
+    && updateFields.dueDate !== undefined
+    && new Date(updateFields.dueDate).getTime() !== new Date(task.dueDate).getTime()
+  ) {
+    // A new due date on the first task moves the series (anchor and next occurrence) with it
+    update.$set.recurrence = await buildSeriesRecurrence(task, task.recurrence.rrule, updateFields.dueDate);
+  }
+
+  const workflow = getWorkflow(req.project);
+  const previousStatus = task.status;
+  const previousAssignee = task.assignedTo;
+  const before = snapshotTask(task);
+
+  if (updateFields.issueType !== undefined || updateFields.parent !== undefined) {
+    if (updateFields.parent === '') updateFields.parent = null;
+    await validateHierarchy({
+      task,
+      projectId: task.project,
+      issueType: updateFields.issueType !== undefined ? updateFields.issueType : task.issueType,
+      parentId: updateFields.parent !== undefined ? updateFields.parent : task.parent
+    });
+  }
+
+  // Rules see the task as it will be after the update (e.g. an assignee set along with the move)
+  let warnings = [];
+  if (updateFields.status !== undefined) {
+    const errors = validateStatusChange(
+      workflow,
+      { ...task.toObject(), ...updateFields },
+      previousStatus,
+      updateFields.status,
+      req.projectRole
+    );
+    const blockers = await checkBlockers(task, workflow, previousStatus, updateFields.status, req.user.id);
+    errors.push(...blockers.errors);
+    if (errors.length > 0) {
+      return rejectStatusChange(res, errors);
+    }
+    warnings = blockers.warnings;
+  }
+
+  // Due-date reminders start over for a new due date
+  if (updateFields.dueDate !== undefined && new Date(updateFields.dueDate).getTime() !== new Date(task.dueDate).getTime()) {
+    update.$unset.reminders = '';
+  }
+
+  Object.assign(update.$set, updateFields);
+
   task = await Task.findByIdAndUpdate(
-    req.params.id,
-    updateFields,
+    task._id,
+    update,
     {
       new: true,
       runValidators: true
@@ -195,10 +300,30 @@ export const updateTask = asyncHandler(async (req, res) => {
     .populate('createdBy', 'name email avatar')
     .populate('sprint', 'name');
 
+  await recordTaskChanges(before, task, req.user.id);
+
+  if (isDoneStatus(workflow, task.status) && !isDoneStatus(workflow, previousStatus)) {
+    await logActivity(req.user.id, 'task_completed', `Completed task "${task.title}"`, task.project, task._id);
+
+    // Running timers are turned into worklogs, which changes actualHours
+    if (await stopTaskTimers(task._id, req.user) > 0) {
+      task.actualHours = (await Task.findById(task._id).select('actualHours')).actualHours;
+    }
+    await createNextOccurrence(task, workflow, req.user);
+  } else {
+    await logActivity(req.user.id, 'task_updated', `Updated task "${task.title}"`, task.project, task._id);
+  }
+
+  await notifyAssignment(task, previousAssignee, req.user.id);
+  await notifyStatusChange(task, previousStatus, req.user.id, workflow);
+
+  emitTaskUpdate(task.project, task, 'update', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Task updated successfully',
-    data: task
+    data: task,
+    ...(warnings.length > 0 && { warnings })
   });
 });
 
@@ -210,13 +335,17 @@ export const updateTask = asyncHandler(async (req, res) => {
 export const updateTaskStatus = asyncHandler(async (req, res) => {
   const { status, position } = req.body;
 
-  let task = await Task.findById(req.params.id);
+  let { task } = req;
 
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found'
-    });
+  const workflow = getWorkflow(req.project);
+  const previousStatus = task.status;
+  const before = snapshotTask(task);
+
+  const errors = validateStatusChange(workflow, task, previousStatus, status, req.projectRole);
+  const { errors: blockerErrors, warnings } = await checkBlockers(task, workflow, previousStatus, status, req.user.id);
+  errors.push(...blockerErrors);
+  if (errors.length > 0) {
+    return rejectStatusChange(res, errors);
   }
 
   // Update task status and position
@@ -226,37 +355,74 @@ export const updateTaskStatus = asyncHandler(async (req, res) => {
   }
 
   await task.save();
+  await recordTaskChanges(before, task, req.user.id);
+
+  if (status !== previousStatus) {
+    if (isDoneStatus(workflow, status)) {
+      await logActivity(req.user.id, 'task_completed', `Completed task "${task.title}"`, task.project, task._id);
+      await stopTaskTimers(task._id, req.user);
+      await createNextOccurrence(task, workflow, req.user);
+    } else {
+      await logActivity(req.user.id, 'task_updated', `Moved task "${task.title}" from ${previousStatus} to ${status}`, task.project, task._id);
+    }
+  }
+
+  await notifyStatusChange(task, previousStatus, req.user.id, workflow);
 
   task = await Task.findById(task._id)
     .populate('assignedTo', 'name email avatar')
     .populate('createdBy', 'name email avatar')
     .populate('sprint', 'name');
 
+  emitTaskUpdate(task.project, task, 'status', req.user);
+
   res.status(200).json({
     success: true,
     message: 'Task status updated successfully',
-    data: task
+    data: task,
+    ...(warnings.length > 0 && { warnings })
   });
 });
 
 /**
- * @desc    Delete task
+ * @desc    Delete task (soft delete, or permanently with ?permanent=true)
  * @route   DELETE /api/tasks/:id
- * @access  Private (Project Manager only)
+ * @access  Private (Owner or Project Manager)
  */
 export const deleteTask = asyncHandler(async (req, res) => {
-  const task = await Task.findById(req.params.id);
+  const { task } = req;
+
+  // Children that are still open would be left without their parent
+  const openChildren = await Task.find({
+    parent: task._id,
+    isActive: true,
+    status: { $nin: getDoneStatuses(getWorkflow(req.project)) }
+  }).select('key title status');
 
-  if (!task) {
-    return res.status(404).json({
+  if (openChildren.length > 0) {
+    return res.status(409).json({
       success: false,
-      message: 'Task not found'
+      message: `Cannot delete a task with ${openChildren.length} open child task(s). Finish, move or delete them first.`,
+      data: openChildren
     });
   }
 
-  // Soft delete
-  task.isActive = false;
-  await task.save();
+  if (req.query.permanent === 'true') {
+    // Hard delete - stored attachment files are removed by the Task model hook
+    await Comment.deleteMany({ task: task._id });
+    await TaskLink.deleteMany({ $or: [{ source: task._id }, { target: task._id }] });
+    await Worklog.deleteMany({ task: task._id });
+    await Timer.deleteMany({ task: task._id });
+    await Task.updateMany({ parent: task._id }, { $set: { parent: null } });
+    await task.deleteOne();
+  } else {
+    // Soft delete
+    task.isActive = false;
+    await task.save();
+    await stopTaskTimers(task._id, req.user);
+  }
+
+  emitTaskUpdate(task.project, { _id: task._id, key: task.key }, 'delete', req.user);
 
   res.status(200).json({
     success: true,
@@ -266,57 +432,62 @@ export const deleteTask = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Add comment to task
- * @route   POST /api/tasks/:id/comments
+ * @desc    Get tasks assigned to current user (same filters as getTasks, plus project)
+ * @route   GET /api/tasks/my-tasks
  * @access  Private
  */
-export const addComment = asyncHandler(async (req, res) => {
-  const { text } = req.body;
-
-  const task = await Task.findById(req.params.id);
-
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found'
-    });
+export const getMyTasks = asyncHandler(async (req, res) => {
+  const baseFilter = {
+    assignedTo: new mongoose.Types.ObjectId(req.user.id),
+    isActive: true
+  };
+
+  if (req.query.project) {
+    if (!mongoose.isValidObjectId(req.query.project)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project'
+      });
+    }
+    baseFilter.project = req.query.project;
   }
 
-  task.comments.push({
-    user: req.user.id,
-    text
-  });
-
-  await task.save();
-
-  const updatedTask = await Task.findById(task._id)
-    .populate('comments.user', 'name email avatar');
+  // The assignee filter is meaningless here: these are always the caller's tasks
+  const { assignee, ...query } = req.query;
+
+  // Overdue tasks depend on the workflow of each task's project
+  const workflows = query.overdue === 'true'
+    ? await loadWorkflows(await Task.distinct('project', baseFilter))
+    : undefined;
+
+  // Custom field filters (cf.<key>) need the definitions of the filtered project
+  let customFields;
+  if (Object.keys(query).some(param => param.startsWith('cf.'))) {
+    if (!baseFilter.project) {
+      return res.status(400).json({
+        success: false,
+        message: 'Custom field filters require a project'
+      });
+    }
+    customFields = (await Project.findById(baseFilter.project).select('customFields'))?.customFields;
+  }
 
-  res.status(200).json({
-    success: true,
-    message: 'Comment added successfully',
-    data: updatedTask.comments
+  const { tasks, ...pagination } = await findTasks(baseFilter, query, {
+    userId: req.user.id,
+    workflows,
+    customFields,
+    defaultSort: '-createdAt',
+    prepare: q => q
+      .select('-comments')
+      .populate('project', 'name key')
+      .populate('sprint', 'name')
+      .populate('createdBy', 'name email avatar')
   });
-});
-
-/**
- * @desc    Get tasks assigned to current user
- * @route   GET /api/tasks/my-tasks
- * @access  Private
- */
-export const getMyTasks = asyncHandler(async (req, res) => {
-  const tasks = await Task.find({
-    assignedTo: req.user.id,
-    isActive: true
-  })
-    .populate('project', 'name')
-    .populate('sprint', 'name')
-    .populate('createdBy', 'name email avatar')
-    .sort('-createdAt');
 
   res.status(200).json({
     success: true,
     count: tasks.length,
+    ...pagination,
     data: tasks
   });
 });
@@ -336,22 +507,94 @@ export const bulkUpdatePositions = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update all tasks
-  const updatePromises = updates.map(update =>
-    Task.findByIdAndUpdate(
-      update.id,
-      { 
-        position: update.position,
-        ...(update.status && { status: update.status })
-      },
-      { new: true }
-    )
+  // Check the caller can move every task before changing anything
+  const tasks = await Task.find({ _id: { $in: updates.map(update => update.id) } });
+  const projects = await Project.find({ _id: { $in: [...new Set(tasks.map(task => task.project.toString()))] } });
+
+  const forbidden = projects.some(
+    project => !hasPermission(getProjectRole(project, req.user.id), 'task:update-status')
   );
 
-  await Promise.all(updatePromises);
+  if (forbidden) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not allowed to move tasks in one or more of these projects'
+    });
+  }
+
+  // Every status change must follow the workflow of the task's project
+  const workflows = new Map(projects.map(project => [project._id.toString(), getWorkflow(project)]));
+  const invalidMoves = [];
+  const warnings = [];
+
+  for (const update of updates) {
+    const task = tasks.find(t => t._id.toString() === String(update.id));
+    if (!task || !update.status) continue;
+
+    const project = projects.find(p => p._id.toString() === task.project.toString());
+    const workflow = workflows.get(task.project.toString());
+    const errors = validateStatusChange(
+      workflow,
+      task,
+      task.status,
+      update.status,
+      getProjectRole(project, req.user.id)
+    );
+    const blockers = await checkBlockers(task, workflow, task.status, update.status, req.user.id);
+    errors.push(...blockers.errors);
+
+    if (errors.length > 0) {
+      invalidMoves.push({ id: task._id, key: task.key, errors });
+    }
+    if (blockers.warnings.length > 0) {
+      warnings.push({ id: task._id, key: task.key, warnings: blockers.warnings });
+    }
+  }
+
+  if (invalidMoves.length > 0) {
+    return rejectStatusChange(res, invalidMoves);
+  }
+
+  // Update all tasks, keeping history of status changes made by dragging
+  const updatePromises = updates.map(async (update) => {
+    const task = tasks.find(t => t._id.toString() === String(update.id));
+    if (!task) return null;
+
+    const previousStatus = task.status;
+    const before = snapshotTask(task);
+    task.position = update.position;
+    if (update.status) {
+      task.status = update.status;
+    }
+
+    await task.save();
+    await recordTaskChanges(before, task, req.user.id);
+
+    const workflow = workflows.get(task.project.toString());
+    await notifyStatusChange(task, previousStatus, req.user.id, workflow);
+    if (isDoneStatus(workflow, task.status) && !isDoneStatus(workflow, previousStatus)) {
+      await stopTaskTimers(task._id, req.user);
+      await createNextOccurrence(task, workflow, req.user);
+    }
+    return task;
+  });
+
+  const updatedTasks = (await Promise.all(updatePromises)).filter(Boolean);
+
+  // Broadcast the new board layout to each affected project
+  const tasksByProject = {};
+  updatedTasks.forEach(task => {
+    const projectId = task.project.toString();
+    tasksByProject[projectId] = tasksByProject[projectId] || [];
+    tasksByProject[projectId].push({ _id: task._id, key: task.key, position: task.position, status: task.status });
+  });
+  Object.entries(tasksByProject).forEach(([projectId, tasks]) => {
+    emitTasksReordered(projectId, tasks, req.user);
+  });
 
   res.status(200).json({
     success: true,
-    message: 'Task positions updated successfully'
+    message: 'Task positions updated successfully',
+    ...(warnings.length > 0 && { warnings })
   });
 });
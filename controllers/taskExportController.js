@@ -0,0 +1,134 @@
+import User from '../models/User.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { findTasks } from '../utils/taskQuery.js';
+import { getWorkflow } from '../utils/workflow.js';
+import { formatCustomFieldValue } from '../utils/customFields.js';
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Built-in columns, in export order (custom fields follow)
+const TASK_COLUMNS = {
+  key: task => task.key || '',
+  title: task => task.title,
+  description: task => task.description,
+  issueType: task => task.issueType,
+  status: task => task.status,
+  priority: task => task.priority,
+  assignee: task => (task.assignedTo ? task.assignedTo.name : ''),
+  assigneeEmail: task => (task.assignedTo ? task.assignedTo.email : ''),
+  sprint: task => (task.sprint ? task.sprint.name : ''),
+  labels: (task, project) => (task.labels || [])
+    .map(id => project.labels.id(id))
+    .filter(Boolean)
+    .map(label => label.name)
+    .join('; '),
+  parent: task => (task.parent ? task.parent.key || '' : ''),
+  dueDate: task => formatDate(task.dueDate),
+  storyPoints: task => task.storyPoints,
+  estimatedHours: task => task.estimatedHours,
+  actualHours: task => task.actualHours,
+  createdAt: task => task.createdAt.toISOString()
+};
+
+/**
+ * Quote a CSV cell when needed, and neutralize values spreadsheets would run as formulas
+ */
+const toCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @desc    Export the tasks of a project with their custom fields (same filters as getTasks)
+ * @route   GET /api/tasks/project/:projectId/export?format=csv|json
+ * @access  Private
+ */
+export const exportTasks = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid export format. Allowed: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  // Exports always contain every matching task
+  const { page, limit, cursor, ...query } = req.query;
+  const fields = project.customFields || [];
+
+  const { tasks } = await findTasks(
+    { project: project._id, isActive: true },
+    query,
+    {
+      userId: req.user.id,
+      workflows: new Map([[project._id.toString(), getWorkflow(project)]]),
+      customFields: fields,
+      defaultSort: 'number',
+      all: true,
+      prepare: q => q
+        .select('-comments -attachments')
+        .populate('assignedTo', 'name email')
+        .populate('sprint', 'name')
+        .populate('parent', 'key')
+    }
+  );
+
+  // Names of the users picked in user fields
+  const userFields = fields.filter(field => field.type === 'user');
+  const userIds = new Set();
+  tasks.forEach(task => {
+    userFields.forEach(field => {
+      const value = task.customFields && task.customFields.get(field.key);
+      if (value) userIds.add(value);
+    });
+  });
+  const users = userIds.size ? await User.find({ _id: { $in: [...userIds] } }).select('name') : [];
+  const userNames = Object.fromEntries(users.map(user => [user._id.toString(), user.name]));
+
+  const rows = tasks.map(task => {
+    const row = Object.fromEntries(
+      Object.entries(TASK_COLUMNS).map(([column, getValue]) => [column, getValue(task, project)])
+    );
+
+    const values = {};
+    fields.forEach(field => {
+      values[field.key] = formatCustomFieldValue(field, task.customFields && task.customFields.get(field.key), userNames);
+    });
+
+    return { row, values };
+  });
+
+  const fileName = `${project.key || project._id}-tasks-${formatDate(new Date())}`;
+
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    return res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        project: { _id: project._id, key: project.key, name: project.name },
+        customFields: fields.map(({ key, name, type }) => ({ key, name, type })),
+        tasks: rows.map(({ row, values }) => ({ ...row, customFields: values }))
+      }
+    });
+  }
+
+  // Custom field columns are named after the field and ordered as on the project
+  const columns = Object.keys(TASK_COLUMNS);
+  const lines = [
+    [...columns, ...fields.map(field => field.name)].map(toCsvCell).join(','),
+    ...rows.map(({ row, values }) => [
+      ...columns.map(column => row[column]),
+      ...fields.map(field => values[field.key])
+    ].map(toCsvCell).join(','))
+  ];
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+  res.status(200).send(lines.join('\r\n'));
+});
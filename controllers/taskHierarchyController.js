@@ -0,0 +1,75 @@
+import Task from '../models/Task.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { getWorkflow, getStatusCategory } from '../utils/workflow.js';
+import { findDescendants } from '../utils/taskHierarchy.js';
+
+/**
+ * @desc    Get the direct children of a task
+ * @route   GET /api/tasks/:id/children
+ * @access  Private
+ */
+export const getChildren = asyncHandler(async (req, res) => {
+  const children = await Task.find({ parent: req.task._id, isActive: true })
+    .select('-comments')
+    .populate('assignedTo', 'name email avatar')
+    .populate('sprint', 'name')
+    .sort('position');
+
+  res.status(200).json({
+    success: true,
+    count: children.length,
+    data: children
+  });
+});
+
+/**
+ * @desc    Roll up progress and hours of all descendants of a task
+ * @route   GET /api/tasks/:id/rollup
+ * @access  Private
+ */
+export const getRollup = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const workflow = getWorkflow(req.project);
+
+  const descendants = await findDescendants(task._id, 'status issueType estimatedHours actualHours');
+
+  const byCategory = { todo: 0, in_progress: 0, review: 0, done: 0 };
+  const byIssueType = {};
+  let estimatedHours = 0;
+  let actualHours = 0;
+
+  descendants.forEach(descendant => {
+    const category = getStatusCategory(workflow, descendant.status);
+    if (category) byCategory[category] += 1;
+    byIssueType[descendant.issueType] = (byIssueType[descendant.issueType] || 0) + 1;
+    estimatedHours += descendant.estimatedHours || 0;
+    actualHours += descendant.actualHours || 0;
+  });
+
+  const total = descendants.length;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      task: {
+        _id: task._id,
+        key: task.key,
+        title: task.title,
+        issueType: task.issueType,
+        status: task.status,
+        estimatedHours: task.estimatedHours,
+        actualHours: task.actualHours
+      },
+      descendants: total,
+      completed: byCategory.done,
+      progress: total > 0 ? Math.round((byCategory.done / total) * 100) : 0,
+      byCategory,
+      byIssueType,
+      // Hours of the descendants only, and including the task's own hours
+      estimatedHours,
+      actualHours,
+      totalEstimatedHours: estimatedHours + (task.estimatedHours || 0),
+      totalActualHours: actualHours + (task.actualHours || 0)
+    }
+  });
+});
@@ -0,0 +1,120 @@
+import TaskHistory from '../models/TaskHistory.js';
+import User from '../models/User.js';
+import Sprint from '../models/Sprint.js';
+import Task from '../models/Task.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+// Task fields whose changes are kept in the history
+export const TRACKED_FIELDS = [
+  'status',
+  'issueType',
+  'parent',
+  'assignedTo',
+  'priority',
+  'dueDate',
+  'sprint',
+  'estimatedHours',
+  'actualHours',
+  'storyPoints'
+];
+
+/**
+ * Normalize a field value so that populated documents, ObjectIds and
+ * dates compare (and are stored) as plain strings
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._id) return value._id.toString();
+  return value;
+};
+
+/**
+ * Take a snapshot of the tracked fields of a task
+ */
+export const snapshotTask = (task) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = normalizeValue(task[field]);
+  });
+  return snapshot;
+};
+
+// @desc    Record changed fields between a snapshot and the updated task (helper function)
+export const recordTaskChanges = async (before, task, userId) => {
+  try {
+    const after = snapshotTask(task);
+    const changes = TRACKED_FIELDS
+      .filter(field => String(before[field]) !== String(after[field]))
+      .map(field => ({
+        field,
+        oldValue: before[field],
+        newValue: after[field]
+      }));
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    return await TaskHistory.create({
+      task: task._id,
+      project: normalizeValue(task.project),
+      user: userId,
+      changes
+    });
+  } catch (error) {
+    console.error('Error recording task history:', error);
+    return null;
+  }
+};
+
+/**
+ * @desc    Get field-level change history of a task
+ * @route   GET /api/tasks/:id/history
+ * @access  Private
+ */
+export const getTaskHistory = asyncHandler(async (req, res) => {
+  const { task } = req;
+
+  const history = await TaskHistory.find({ task: task._id })
+    .populate('user', 'name email avatar')
+    .sort('-createdAt')
+    .lean();
+
+  // Resolve referenced users, sprints and parent tasks so clients can show readable values
+  const idsByField = { assignedTo: new Set(), sprint: new Set(), parent: new Set() };
+  history.forEach(entry => {
+    entry.changes.forEach(change => {
+      const ids = idsByField[change.field];
+      if (ids) {
+        if (change.oldValue) ids.add(change.oldValue);
+        if (change.newValue) ids.add(change.newValue);
+      }
+    });
+  });
+
+  const [users, sprints, parents] = await Promise.all([
+    User.find({ _id: { $in: [...idsByField.assignedTo] } }).select('name'),
+    Sprint.find({ _id: { $in: [...idsByField.sprint] } }).select('name'),
+    Task.find({ _id: { $in: [...idsByField.parent] } }).select('key title')
+  ]);
+  const names = {};
+  users.forEach(user => { names[user._id.toString()] = user.name; });
+  sprints.forEach(sprint => { names[sprint._id.toString()] = sprint.name; });
+  parents.forEach(parent => { names[parent._id.toString()] = parent.key ? `${parent.key} ${parent.title}` : parent.title; });
+
+  history.forEach(entry => {
+    entry.changes.forEach(change => {
+      if (idsByField[change.field]) {
+        change.oldLabel = change.oldValue ? names[change.oldValue] || null : null;
+        change.newLabel = change.newValue ? names[change.newValue] || null : null;
+      }
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    count: history.length,
+    data: history
+  });
+});
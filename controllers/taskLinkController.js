@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import TaskLink from '../models/TaskLink.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { getProjectRole } from '../utils/permissions.js';
+import { isDoneStatus, loadWorkflows } from '../utils/workflow.js';
+import { LINK_TYPES, LINK_LABELS, wouldCreateBlockingCycle } from '../utils/taskLinks.js';
+import { emitTaskUpdate } from '../config/socket.js';
+
+const MAX_GRAPH_DEPTH = 5;
+
+const TASK_FIELDS = 'key title status priority issueType project assignedTo isActive';
+
+/**
+ * IDs of the active projects a user can view
+ */
+const getAccessibleProjectIds = async (userId) => {
+  const projects = await Project.find({
+    $or: [
+      { createdBy: userId },
+      { 'members.user': userId }
+    ],
+    isActive: true
+  }).select('_id');
+
+  return new Set(projects.map(project => project._id.toString()));
+};
+
+/**
+ * Describe a stored link from the point of view of one of its tasks
+ */
+const describeLink = (link, taskId) => {
+  const outward = link.source._id.toString() === taskId.toString();
+  return {
+    _id: link._id,
+    type: link.type,
+    direction: outward ? 'outward' : 'inward',
+    label: LINK_LABELS[link.type][outward ? 'outward' : 'inward'],
+    task: outward ? link.target : link.source,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt
+  };
+};
+
+/**
+ * @desc    Get the links of a task and the graph of tasks reachable through links
+ * @route   GET /api/tasks/:id/links?depth=
+ * @access  Private
+ */
+export const getTaskLinks = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const depth = Math.min(Math.max(parseInt(req.query.depth, 10) || 2, 1), MAX_GRAPH_DEPTH);
+  const accessibleProjects = await getAccessibleProjectIds(req.user.id);
+
+  // Breadth-first walk over links in both directions, skipping tasks the user cannot see
+  const nodes = new Map([[task._id.toString(), task]]);
+  const edges = new Map();
+  let frontier = [task._id];
+  let hiddenLinks = 0;
+
+  for (let level = 0; level < depth && frontier.length > 0; level += 1) {
+    const links = await TaskLink.find({
+      $or: [{ source: { $in: frontier } }, { target: { $in: frontier } }]
+    })
+      .populate('source', TASK_FIELDS)
+      .populate('target', TASK_FIELDS)
+      .populate('createdBy', 'name email avatar');
+
+    frontier = [];
+
+    links.forEach(link => {
+      if (!link.source || !link.target || edges.has(link._id.toString())) return;
+
+      const visible = [link.source, link.target].every(
+        linkedTask => linkedTask.isActive && accessibleProjects.has(linkedTask.project.toString())
+      );
+      if (!visible) {
+        if (level === 0) hiddenLinks += 1;
+        return;
+      }
+
+      edges.set(link._id.toString(), link);
+      [link.source, link.target].forEach(linkedTask => {
+        const id = linkedTask._id.toString();
+        if (!nodes.has(id)) {
+          nodes.set(id, linkedTask);
+          frontier.push(linkedTask._id);
+        }
+      });
+    });
+  }
+
+  const workflows = await loadWorkflows([...new Set([...nodes.values()].map(node => node.project.toString()))]);
+  const directLinks = [...edges.values()].filter(
+    link => link.source._id.toString() === task._id.toString() || link.target._id.toString() === task._id.toString()
+  );
+
+  res.status(200).json({
+    success: true,
+    count: directLinks.length,
+    hiddenLinks,
+    data: {
+      links: directLinks.map(link => describeLink(link, task._id)),
+      graph: {
+        nodes: [...nodes.values()].map(node => ({
+          _id: node._id,
+          key: node.key,
+          title: node.title,
+          status: node.status,
+          issueType: node.issueType,
+          project: node.project,
+          isDone: isDoneStatus(workflows.get(node.project.toString()), node.status)
+        })),
+        edges: [...edges.values()].map(link => ({
+          _id: link._id,
+          from: link.source._id,
+          to: link.target._id,
+          type: link.type
+        }))
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Link a task to another task (possibly in another project)
+ * @route   POST /api/tasks/:id/links
+ * @access  Private
+ */
+export const addTaskLink = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const { taskId, type } = req.body;
+  const linkType = LINK_TYPES[type];
+
+  if (!linkType) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid link type. Allowed: ${Object.keys(LINK_TYPES).join(', ')}`
+    });
+  }
+
+  // The other task can be given by ID or by key
+  const other = mongoose.isValidObjectId(taskId)
+    ? await Task.findOne({ _id: taskId, isActive: true })
+    : await Task.findOne({ key: String(taskId || '').toUpperCase(), isActive: true });
+
+  if (!other) {
+    return res.status(404).json({
+      success: false,
+      message: 'Linked task not found'
+    });
+  }
+
+  if (other._id.toString() === task._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A task cannot be linked to itself'
+    });
+  }
+
+  const otherProject = other.project.toString() === req.project._id.toString()
+    ? req.project
+    : await Project.findById(other.project);
+
+  if (!otherProject || !getProjectRole(otherProject, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have access to the linked task'
+    });
+  }
+
+  const [source, target] = linkType.inverse ? [other, task] : [task, other];
+
+  // Relates-to links have no direction, so either way round is the same link
+  const existing = await TaskLink.findOne({
+    type: linkType.type,
+    $or: [
+      { source: source._id, target: target._id },
+      ...(linkType.type === 'relates_to' ? [{ source: target._id, target: source._id }] : [])
+    ]
+  });
+
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'These tasks are already linked this way'
+    });
+  }
+
+  if (linkType.type === 'blocks' && await wouldCreateBlockingCycle(source._id, target._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'This link would create a circular dependency'
+    });
+  }
+
+  const link = await TaskLink.create({
+    source: source._id,
+    target: target._id,
+    type: linkType.type,
+    sourceProject: source.project,
+    targetProject: target.project,
+    createdBy: req.user.id
+  });
+
+  const populatedLink = await TaskLink.findById(link._id)
+    .populate('source', TASK_FIELDS)
+    .populate('target', TASK_FIELDS)
+    .populate('createdBy', 'name email avatar');
+
+  emitTaskUpdate(task.project, { _id: task._id, key: task.key }, 'link-added', req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tasks linked successfully',
+    data: describeLink(populatedLink, task._id)
+  });
+});
+
+/**
+ * @desc    Remove a link of a task
+ * @route   DELETE /api/tasks/:id/links/:linkId
+ * @access  Private
+ */
+export const removeTaskLink = asyncHandler(async (req, res) => {
+  const { task } = req;
+
+  const link = mongoose.isValidObjectId(req.params.linkId)
+    ? await TaskLink.findOne({
+      _id: req.params.linkId,
+      $or: [{ source: task._id }, { target: task._id }]
+    })
+    : null;
+
+  if (!link) {
+    return res.status(404).json({
+      success: false,
+      message: 'Link not found'
+    });
+  }
+
+  await link.deleteOne();
+
+  emitTaskUpdate(task.project, { _id: task._id, key: task.key }, 'link-removed', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Link removed successfully',
+    data: {}
+  });
+});
@@ -0,0 +1,181 @@
+import Timer from '../models/Timer.js';
+import Worklog from '../models/Worklog.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { getWorkflow, isDoneStatus } from '../utils/workflow.js';
+import { splitByDay } from '../utils/worklogs.js';
+import { syncActualHours } from './worklogController.js';
+import { emitTimerUpdate } from '../config/socket.js';
+
+/**
+ * Load a timer with what the board needs to show it
+ */
+const populateTimer = (query) => query
+  .populate('user', 'name email avatar')
+  .populate('task', 'key title status');
+
+/**
+ * Turn a timer that has just been removed into worklog entries (one per day it ran)
+ * and broadcast that it stopped
+ */
+const finishTimer = async (timer, actor) => {
+  const stoppedAt = new Date();
+  const days = splitByDay(timer.startedAt, stoppedAt);
+
+  const worklogs = await Worklog.insertMany(days.map(day => ({
+    task: timer.task,
+    project: timer.project,
+    user: timer.user,
+    date: day.date,
+    minutes: day.minutes,
+    note: timer.note
+  })));
+
+  if (worklogs.length > 0) {
+    await syncActualHours(timer.task, actor);
+  }
+
+  const minutes = days.reduce((sum, day) => sum + day.minutes, 0);
+
+  emitTimerUpdate(timer.project, {
+    _id: timer._id,
+    task: timer.task,
+    user: timer.user,
+    startedAt: timer.startedAt,
+    stoppedAt,
+    minutes
+  }, 'stop', actor);
+
+  return { stoppedAt, minutes, worklogs };
+};
+
+// @desc    Stop every timer running on a task, logging the time of each; returns how many were running (helper function)
+export const stopTaskTimers = async (taskId, actor) => {
+  const timers = await Timer.find({ task: taskId });
+
+  for (const timer of timers) {
+    // Only the request that removes the timer logs its time
+    const removed = await Timer.findOneAndDelete({ _id: timer._id });
+    if (removed) await finishTimer(removed, actor);
+  }
+
+  return timers.length;
+};
+
+/**
+ * @desc    Start a timer on a task
+ * @route   POST /api/tasks/:id/timer/start  { note }
+ * @access  Private
+ */
+export const startTimer = asyncHandler(async (req, res) => {
+  const { task } = req;
+
+  if (isDoneStatus(getWorkflow(req.project), task.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot start a timer on a completed task'
+    });
+  }
+
+  const running = await populateTimer(Timer.findOne({ user: req.user.id }));
+  if (running) {
+    return res.status(409).json({
+      success: false,
+      message: running.task && running.task._id.equals(task._id)
+        ? 'A timer is already running on this task'
+        : `Stop the timer running on ${running.task ? running.task.key : 'another task'} first`,
+      data: running
+    });
+  }
+
+  let timer;
+  try {
+    timer = await Timer.create({
+      user: req.user.id,
+      task: task._id,
+      project: task.project,
+      note: req.body.note
+    });
+  } catch (error) {
+    // Another request started a timer for this user in the meantime
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A timer is already running'
+      });
+    }
+    throw error;
+  }
+
+  timer = await populateTimer(Timer.findById(timer._id));
+
+  emitTimerUpdate(task.project, timer, 'start', req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Timer started',
+    data: timer
+  });
+});
+
+/**
+ * @desc    Stop your timer on a task and log the elapsed time
+ * @route   POST /api/tasks/:id/timer/stop  { note }
+ * @access  Private
+ */
+export const stopTimer = asyncHandler(async (req, res) => {
+  const timer = await Timer.findOneAndDelete({ user: req.user.id, task: req.task._id });
+
+  if (!timer) {
+    return res.status(404).json({
+      success: false,
+      message: 'No timer is running on this task'
+    });
+  }
+
+  if (req.body.note !== undefined) timer.note = req.body.note;
+
+  const { stoppedAt, minutes, worklogs } = await finishTimer(timer, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: worklogs.length > 0
+      ? 'Timer stopped and time logged'
+      : 'Timer stopped (less than a minute, nothing logged)',
+    data: {
+      startedAt: timer.startedAt,
+      stoppedAt,
+      minutes,
+      worklogs
+    }
+  });
+});
+
+/**
+ * @desc    Get the timers running in a project (who is working on what)
+ * @route   GET /api/projects/:id/timers
+ * @access  Private
+ */
+export const getProjectTimers = asyncHandler(async (req, res) => {
+  const timers = await populateTimer(Timer.find({ project: req.project._id }))
+    .sort('startedAt');
+
+  res.status(200).json({
+    success: true,
+    count: timers.length,
+    data: timers
+  });
+});
+
+/**
+ * @desc    Get your running timer, if any
+ * @route   GET /api/worklogs/timer
+ * @access  Private
+ */
+export const getMyTimer = asyncHandler(async (req, res) => {
+  const timer = await populateTimer(Timer.findOne({ user: req.user.id }));
+
+  res.status(200).json({
+    success: true,
+    data: timer
+  });
+});
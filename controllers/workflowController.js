@@ -0,0 +1,92 @@
+import Task from '../models/Task.js';
+import TaskHistory from '../models/TaskHistory.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { getWorkflow, parseWorkflow } from '../utils/workflow.js';
+import { emitProjectUpdate } from '../config/socket.js';
+
+/**
+ * Rename a status on a project's tasks (deleted ones included) and in their history,
+ * so that history replays (burndown, velocity) still recognise the renamed status
+ */
+const renameStatus = async (projectId, from, to) => {
+  await Task.updateMany({ project: projectId, status: from }, { $set: { status: to } });
+
+  await Promise.all(['oldValue', 'newValue'].map(side => TaskHistory.updateMany(
+    { project: projectId, changes: { $elemMatch: { field: 'status', [side]: from } } },
+    { $set: { [`changes.$[change].${side}`]: to } },
+    { arrayFilters: [{ 'change.field': 'status', [`change.${side}`]: from }] }
+  )));
+};
+
+/**
+ * @desc    Get the workflow (statuses and transitions) of a project
+ * @route   GET /api/projects/:id/workflow
+ * @access  Private
+ */
+export const getProjectWorkflow = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getWorkflow(req.project)
+  });
+});
+
+/**
+ * @desc    Replace the workflow of a project
+ * @route   PUT /api/projects/:id/workflow
+ * @access  Private (Owner or Project Manager)
+ */
+export const updateProjectWorkflow = asyncHandler(async (req, res) => {
+  const { project } = req;
+  const { workflow, renames } = parseWorkflow(req.body);
+  const current = getWorkflow(project);
+
+  // Statuses that disappear (and are not renamed) must not be used by any task,
+  // including deleted ones, which keep their status
+  const keptNames = workflow.statuses.map(s => s.name);
+  const removedNames = current.statuses
+    .map(s => s.name)
+    .filter(name => !keptNames.includes(name) && !renames[name]);
+
+  if (removedNames.length > 0) {
+    const inUse = await Task.aggregate([
+      { $match: { project: project._id, status: { $in: removedNames } } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          deleted: { $sum: { $cond: ['$isActive', 0, 1] } }
+        }
+      }
+    ]);
+
+    if (inUse.length > 0) {
+      const hasDeleted = inUse.some(s => s.deleted > 0);
+      return res.status(409).json({
+        success: false,
+        message: `Move tasks out of these statuses before removing them: ${inUse.map(s => `${s._id} (${s.count})`).join(', ')}`
+          + (hasDeleted ? '. Deleted tasks count too: move them first or delete them permanently' : ''),
+        data: inUse.map(s => ({ status: s._id, tasks: s.count, deletedTasks: s.deleted }))
+      });
+    }
+  }
+
+  project.workflow = workflow;
+  await project.save();
+
+  // Renames go through temporary names so that swaps (A -> B, B -> A) do not collide
+  const steps = Object.entries(renames).map(([from, to], index) => ({ from, to, temporary: `\u0000rename-${index}` }));
+  for (const { from, temporary } of steps) {
+    await renameStatus(project._id, from, temporary);
+  }
+  for (const { to, temporary } of steps) {
+    await renameStatus(project._id, temporary, to);
+  }
+
+  emitProjectUpdate(project._id, { _id: project._id, workflow }, 'workflow-updated', req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Workflow updated successfully',
+    data: workflow
+  });
+});
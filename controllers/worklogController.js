@@ -0,0 +1,256 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import Worklog from '../models/Worklog.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { getProjectRole, hasPermission } from '../utils/permissions.js';
+import { toDay, parseDuration, parseTimesheetRange } from '../utils/worklogs.js';
+import { snapshotTask, recordTaskChanges } from './taskHistoryController.js';
+import { emitTaskUpdate } from '../config/socket.js';
+
+// @desc    Recompute a task's actualHours from its worklog entries and broadcast it (helper function)
+export const syncActualHours = async (taskId, actor) => {
+  const [total] = await Worklog.aggregate([
+    { $match: { task: new mongoose.Types.ObjectId(taskId) } },
+    { $group: { _id: null, minutes: { $sum: '$minutes' } } }
+  ]);
+
+  const task = await Task.findById(taskId);
+  if (!task) return null;
+
+  const actualHours = Math.round(((total ? total.minutes : 0) / 60) * 100) / 100;
+
+  if (task.actualHours !== actualHours) {
+    const before = snapshotTask(task);
+    task.actualHours = actualHours;
+    await Task.updateOne({ _id: task._id }, { $set: { actualHours } });
+    await recordTaskChanges(before, task, actor.id);
+  }
+
+  emitTaskUpdate(task.project, { _id: task._id, key: task.key, actualHours }, 'worklog-updated', actor);
+
+  return task;
+};
+
+/**
+ * Find a worklog entry of the current task the user may change (their own, or any for managers)
+ */
+const findEditableWorklog = async (req, res) => {
+  const worklog = mongoose.isValidObjectId(req.params.worklogId)
+    ? await Worklog.findOne({ _id: req.params.worklogId, task: req.task._id })
+    : null;
+
+  if (!worklog) {
+    res.status(404).json({
+      success: false,
+      message: 'Worklog entry not found'
+    });
+    return null;
+  }
+
+  if (worklog.user.toString() !== req.user.id && !hasPermission(req.projectRole, 'worklog:moderate')) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only change your own worklog entries'
+    });
+    return null;
+  }
+
+  return worklog;
+};
+
+/**
+ * @desc    Get the worklog entries of a task
+ * @route   GET /api/tasks/:id/worklogs
+ * @access  Private
+ */
+export const getWorklogs = asyncHandler(async (req, res) => {
+  const worklogs = await Worklog.find({ task: req.task._id })
+    .populate('user', 'name email avatar')
+    .sort('-date -createdAt');
+
+  const totalMinutes = worklogs.reduce((sum, worklog) => sum + worklog.minutes, 0);
+
+  res.status(200).json({
+    success: true,
+    count: worklogs.length,
+    totalMinutes,
+    data: worklogs
+  });
+});
+
+/**
+ * @desc    Log time on a task
+ * @route   POST /api/tasks/:id/worklogs  { date, minutes | hours, note }
+ * @access  Private
+ */
+export const addWorklog = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const { date, note } = req.body;
+
+  const worklog = await Worklog.create({
+    task: task._id,
+    project: task.project,
+    user: req.user.id,
+    date: toDay(date || new Date()),
+    minutes: parseDuration(req.body),
+    note
+  });
+
+  await syncActualHours(task._id, req.user);
+
+  const populatedWorklog = await Worklog.findById(worklog._id)
+    .populate('user', 'name email avatar');
+
+  res.status(201).json({
+    success: true,
+    message: 'Time logged successfully',
+    data: populatedWorklog
+  });
+});
+
+/**
+ * @desc    Update a worklog entry
+ * @route   PUT /api/tasks/:id/worklogs/:worklogId
+ * @access  Private (Author, Owner or Project Manager)
+ */
+export const updateWorklog = asyncHandler(async (req, res) => {
+  const worklog = await findEditableWorklog(req, res);
+  if (!worklog) return;
+
+  const { date, note, minutes, hours } = req.body;
+
+  if (date !== undefined) worklog.date = toDay(date);
+  if (note !== undefined) worklog.note = note;
+  if (minutes !== undefined || hours !== undefined) worklog.minutes = parseDuration({ minutes, hours });
+
+  await worklog.save();
+  await syncActualHours(req.task._id, req.user);
+
+  const populatedWorklog = await Worklog.findById(worklog._id)
+    .populate('user', 'name email avatar');
+
+  res.status(200).json({
+    success: true,
+    message: 'Worklog entry updated successfully',
+    data: populatedWorklog
+  });
+});
+
+/**
+ * @desc    Delete a worklog entry
+ * @route   DELETE /api/tasks/:id/worklogs/:worklogId
+ * @access  Private (Author, Owner or Project Manager)
+ */
+export const deleteWorklog = asyncHandler(async (req, res) => {
+  const worklog = await findEditableWorklog(req, res);
+  if (!worklog) return;
+
+  await worklog.deleteOne();
+  await syncActualHours(req.task._id, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Worklog entry deleted successfully',
+    data: {}
+  });
+});
+
+/**
+ * @desc    Get logged time per user and day (own entries, plus everyone's in projects you manage)
+ * @route   GET /api/worklogs/timesheet?user=&project=&from=&to=
+ * @access  Private
+ */
+export const getTimesheet = asyncHandler(async (req, res) => {
+  const { from, to } = parseTimesheetRange(req.query);
+
+  const projects = await Project.find({
+    $or: [
+      { createdBy: req.user.id },
+      { 'members.user': req.user.id }
+    ],
+    isActive: true
+  }).select('name key createdBy members');
+
+  let visibleProjects = projects;
+  if (req.query.project) {
+    visibleProjects = projects.filter(project => project._id.toString() === String(req.query.project));
+    if (visibleProjects.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+  }
+
+  const managedIds = visibleProjects
+    .filter(project => hasPermission(getProjectRole(project, req.user.id), 'worklog:moderate'))
+    .map(project => project._id);
+
+  const filter = {
+    project: { $in: visibleProjects.map(project => project._id) },
+    date: { $gte: from, $lte: to },
+    $or: [
+      { user: new mongoose.Types.ObjectId(req.user.id) },
+      { project: { $in: managedIds } }
+    ]
+  };
+
+  if (req.query.user) {
+    const userId = req.query.user === 'me' ? req.user.id : req.query.user;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user'
+      });
+    }
+    filter.user = new mongoose.Types.ObjectId(userId);
+  }
+
+  const worklogs = await Worklog.find(filter)
+    .populate('user', 'name email avatar')
+    .populate('task', 'key title')
+    .sort('date createdAt');
+
+  const projectNames = Object.fromEntries(projects.map(project => [project._id.toString(), { _id: project._id, name: project.name, key: project.key }]));
+  const byUser = new Map();
+  const byDay = {};
+
+  worklogs.forEach(worklog => {
+    if (!worklog.user) return;
+
+    const userId = worklog.user._id.toString();
+    const day = worklog.date.toISOString().slice(0, 10);
+
+    if (!byUser.has(userId)) {
+      byUser.set(userId, { user: worklog.user, totalMinutes: 0, days: {}, entries: [] });
+    }
+
+    const row = byUser.get(userId);
+    row.totalMinutes += worklog.minutes;
+    row.days[day] = (row.days[day] || 0) + worklog.minutes;
+    row.entries.push({
+      _id: worklog._id,
+      date: day,
+      minutes: worklog.minutes,
+      note: worklog.note,
+      task: worklog.task,
+      project: projectNames[worklog.project.toString()]
+    });
+    byDay[day] = (byDay[day] || 0) + worklog.minutes;
+  });
+
+  const users = [...byUser.values()].sort((a, b) => a.user.name.localeCompare(b.user.name));
+
+  res.status(200).json({
+    success: true,
+    count: worklogs.length,
+    data: {
+      from: from.toISOString().slice(0, 10),
+      to: to.toISOString().slice(0, 10),
+      totalMinutes: users.reduce((sum, row) => sum + row.totalMinutes, 0),
+      days: byDay,
+      users
+    }
+  });
+});
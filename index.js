@@ -19,6 +19,10 @@ import sprintRoutes from './routes/sprintRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
+import activityRoutes from './routes/activityRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import timesheetRoutes from './routes/timesheetRoutes.js';
+import cronRoutes from './routes/cronRoutes.js';
 
 // Debug: Check if imports worked
 console.log('Import check:', {
@@ -28,7 +32,11 @@ console.log('Import check:', {
   sprintRoutes: typeof sprintRoutes,
   aiRoutes: typeof aiRoutes,
   analyticsRoutes: typeof analyticsRoutes,
-  notificationRoutes: typeof notificationRoutes
+  notificationRoutes: typeof notificationRoutes,
+  activityRoutes: typeof activityRoutes,
+  searchRoutes: typeof searchRoutes,
+  timesheetRoutes: typeof timesheetRoutes,
+  cronRoutes: typeof cronRoutes
 });
 
 // Load environment variables
@@ -149,6 +157,34 @@ try {
   console.error('❌ Failed to register notification routes:', err.message);
 }
 
+try {
+  app.use('/api/activity', activityRoutes);
+  console.log('✓ Activity routes registered');
+} catch (err) {
+  console.error('❌ Failed to register activity routes:', err.message);
+}
+
+try {
+  app.use('/api/search', searchRoutes);
+  console.log('✓ Search routes registered');
+} catch (err) {
+  console.error('❌ Failed to register search routes:', err.message);
+}
+
+try {
+  app.use('/api/worklogs', timesheetRoutes);
+  console.log('✓ Worklog routes registered');
+} catch (err) {
+  console.error('❌ Failed to register worklog routes:', err.message);
+}
+
+try {
+  app.use('/api/cron', cronRoutes);
+  console.log('✓ Cron routes registered');
+} catch (err) {
+  console.error('❌ Failed to register cron routes:', err.message);
+}
+
 // Health check route
 app.get('/api/health', (req, res) => {
   res.status(200).json({
@@ -185,7 +221,10 @@ app.get('/', (req, res) => {
       sprints: '/api/sprints',
       ai: '/api/ai',
       analytics: '/api/analytics',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      activity: '/api/activity',
+      search: '/api/search',
+      worklogs: '/api/worklogs'
     }
   });
 });
@@ -0,0 +1,142 @@
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import { getWorkflow, getDoneStatuses } from '../utils/workflow.js';
+import { getReminderSettings } from '../utils/reminders.js';
+import { createNotification, notifyUsers } from '../controllers/notificationController.js';
+import { emitTaskOverdue } from '../config/socket.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tasks handled per project, kind of reminder and run
+const BATCH_SIZE = 200;
+
+// Tasks that became overdue (or due for escalation) longer ago than this are left alone,
+// so that the first run, or turning reminders on, does not report every old task at once
+const CATCH_UP_HOURS = 7 * 24;
+
+/**
+ * Mark a reminder as sent, unless it already was or the due date changed since the task was read
+ * @returns {Promise<boolean>} whether this run should send it
+ */
+const claimReminder = async (task, field, now) => {
+  const result = await Task.updateOne(
+    { _id: task._id, dueDate: task.dueDate, [`reminders.${field}`]: null },
+    { $set: { [`reminders.${field}`]: now } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Project Manager members of a project, or its owner when it has none
+ */
+const getEscalationRecipients = (project) => {
+  const managers = project.members
+    .filter(member => member.role === 'Project Manager')
+    .map(member => member.user);
+
+  return managers.length > 0 ? managers : [project.createdBy];
+};
+
+/**
+ * Task fields sent with task-overdue
+ */
+const summarizeTask = (task) => ({
+  _id: task._id,
+  key: task.key,
+  title: task.title,
+  assignedTo: task.assignedTo,
+  dueDate: task.dueDate
+});
+
+/**
+ * Send the due-date notifications of one project's open tasks
+ */
+const remindProject = async (project, now, sent) => {
+  const { leadHours, escalationHours } = getReminderSettings(project);
+  const hoursAgo = hours => new Date(now.getTime() - hours * HOUR_MS);
+  const openTasks = {
+    project: project._id,
+    isActive: true,
+    status: { $nin: getDoneStatuses(getWorkflow(project)) }
+  };
+
+  // Due soon: remind the assignee once the due date is within the lead time
+  const dueSoon = await Task.find({
+    ...openTasks,
+    assignedTo: { $ne: null },
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + leadHours * HOUR_MS) },
+    'reminders.dueSoonAt': null
+  }).select('title key assignedTo dueDate').limit(BATCH_SIZE);
+
+  for (const task of dueSoon) {
+    if (!await claimReminder(task, 'dueSoonAt', now)) continue;
+
+    const hours = Math.max(1, Math.round((task.dueDate - now) / HOUR_MS));
+    await createNotification(task.assignedTo, `Task "${task.title}" is due in ${hours} hour(s)`, 'warning', project._id, task._id);
+    sent.dueSoon += 1;
+  }
+
+  // Overdue: tell the assignee, and the board, that the due date has passed
+  const overdue = await Task.find({
+    ...openTasks,
+    dueDate: { $gt: hoursAgo(CATCH_UP_HOURS), $lte: now },
+    'reminders.overdueAt': null
+  }).select('title key assignedTo dueDate').limit(BATCH_SIZE);
+
+  for (const task of overdue) {
+    if (!await claimReminder(task, 'overdueAt', now)) continue;
+
+    if (task.assignedTo) {
+      await createNotification(task.assignedTo, `Task "${task.title}" is overdue`, 'error', project._id, task._id);
+    }
+    emitTaskOverdue(project._id, summarizeTask(task), 'overdue');
+    sent.overdue += 1;
+  }
+
+  // Escalation: still open after the grace period, tell the project managers
+  const escalated = await Task.find({
+    ...openTasks,
+    dueDate: { $gt: hoursAgo(escalationHours + CATCH_UP_HOURS), $lte: hoursAgo(escalationHours) },
+    'reminders.escalatedAt': null
+  }).select('title key assignedTo dueDate').limit(BATCH_SIZE);
+
+  for (const task of escalated) {
+    if (!await claimReminder(task, 'escalatedAt', now)) continue;
+
+    const days = Math.max(1, Math.floor((now - task.dueDate) / (24 * HOUR_MS)));
+    await notifyUsers(
+      getEscalationRecipients(project),
+      `Task "${task.title}" (${task.key}) is ${days} day(s) overdue and still open`,
+      'error',
+      project._id,
+      task._id
+    );
+    emitTaskOverdue(project._id, summarizeTask(task), 'escalated');
+    sent.escalated += 1;
+  }
+};
+
+/**
+ * Notify assignees before due dates and once tasks are overdue, and escalate tasks still open
+ * after the grace period to the project managers. Each notification is sent once per due date.
+ *
+ * @returns {Promise<Object>} number of notifications of each kind
+ */
+export const sendDueDateReminders = async (now = new Date()) => {
+  const sent = { dueSoon: 0, overdue: 0, escalated: 0 };
+
+  const projects = await Project.find({ isActive: true })
+    .select('name createdBy members workflow reminders');
+
+  for (const project of projects) {
+    if (!getReminderSettings(project).enabled) continue;
+
+    try {
+      await remindProject(project, now, sent);
+    } catch (error) {
+      console.error(`Error sending due-date reminders for project ${project._id}:`, error);
+    }
+  }
+
+  return sent;
+};
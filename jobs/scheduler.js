@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { createDueOccurrences } from '../controllers/recurrenceController.js';
+import { sendDueDateReminders } from './dueDateReminders.js';
+
+// Background jobs, run one after the other on every tick
+const JOBS = [
+  { name: 'recurring-tasks', run: createDueOccurrences },
+  { name: 'due-date-reminders', run: sendDueDateReminders }
+];
+
+let running = false;
+
+/**
+ * Run every job once, logging (not throwing) failures so one job cannot stop the others
+ * @returns {Promise<Object>} result of each job by name
+ */
+export const runJobs = async () => {
+  const results = {};
+
+  for (const job of JOBS) {
+    try {
+      results[job.name] = await job.run(new Date());
+    } catch (error) {
+      console.error(`❌ Job ${job.name} failed:`, error);
+      results[job.name] = { error: error.message };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Run the jobs every SCHEDULER_INTERVAL_MINUTES (default 5) in a long-running server.
+ * Set DISABLE_SCHEDULER=true to turn it off, e.g. when only one of several instances should run it.
+ */
+export const startScheduler = () => {
+  if (process.env.DISABLE_SCHEDULER === 'true') {
+    console.log('⏸️  Scheduler disabled');
+    return null;
+  }
+
+  const minutes = Number(process.env.SCHEDULER_INTERVAL_MINUTES) || 5;
+
+  const tick = async () => {
+    // Skip ticks that overlap a slow run or happen while the database is unavailable
+    if (running || mongoose.connection.readyState !== 1) return;
+
+    running = true;
+    try {
+      await runJobs();
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`⏰ Scheduler running every ${minutes} minute(s)`);
+  return timer;
+};
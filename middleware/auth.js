@@ -1,5 +1,29 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import Sprint from '../models/Sprint.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { getProjectRole, hasPermission } from '../utils/permissions.js';
+
+/**
+ * Resolve the active user a JWT belongs to
+ * Throws if the token is invalid or expired, returns null if the user is missing or inactive
+ * @param {string} token - JWT token
+ */
+export const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Get user from token (excluding password)
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return user;
+};
 
 /**
  * Middleware to protect routes - verify JWT token
@@ -21,13 +45,9 @@ export const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token (excluding password)
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = await getUserFromToken(token);
 
-      if (!req.user || !req.user.isActive) {
+      if (!req.user) {
         return res.status(401).json({
           success: false,
           message: 'User not found or inactive'
@@ -74,7 +94,8 @@ export const authorize = (...roles) => {
 };
 
 /**
- * Middleware to check if user is project manager
+ * Middleware to check if user is a project manager globally
+ * Only used for actions that are not scoped to a project (e.g. creating projects)
  */
 export const isProjectManager = (req, res, next) => {
   if (req.user.role !== 'Project Manager') {
@@ -85,3 +106,64 @@ export const isProjectManager = (req, res, next) => {
   }
   next();
 };
+
+// Load the project a request is about, from the project itself or from a task/sprint in it
+const projectResolvers = {
+  project: async (id) => ({ project: await Project.findById(id) }),
+  // Tasks can be addressed by ObjectId or by key (PROJ-123)
+  task: async (id) => {
+    const task = mongoose.isValidObjectId(id)
+      ? await Task.findById(id)
+      : await Task.findOne({ key: String(id).toUpperCase() });
+    return { task, project: task ? await Project.findById(task.project) : null };
+  },
+  sprint: async (id) => {
+    const sprint = await Sprint.findById(id);
+    return { sprint, project: sprint ? await Project.findById(sprint.project) : null };
+  }
+};
+
+/**
+ * Middleware to check a project-scoped permission
+ * Resolves the caller's role from Project.members and attaches
+ * req.project, req.projectRole (and req.task / req.sprint) for the controller
+ * @param {string} permission - Permission from utils/permissions.js
+ * @param {string} from - What the route parameter identifies: 'project', 'task' or 'sprint'
+ * @param {string} param - Name of the route parameter holding the ID
+ * @param {string} location - Where to read it: 'params' (default) or 'body'
+ */
+export const authorizeProject = (permission, from = 'project', param = 'id', location = 'params') => asyncHandler(async (req, res, next) => {
+  const resolved = await projectResolvers[from](req[location][param]);
+  const resource = resolved[from];
+
+  if (!resource) {
+    const label = from.charAt(0).toUpperCase() + from.slice(1);
+    return res.status(404).json({
+      success: false,
+      message: `${label} not found`
+    });
+  }
+
+  const role = getProjectRole(resolved.project, req.user.id);
+
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: `You do not have access to this ${from}`
+    });
+  }
+
+  if (!hasPermission(role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Your project role '${role}' is not allowed to perform this action`
+    });
+  }
+
+  req.project = resolved.project;
+  req.projectRole = role;
+  if (resolved.task) req.task = resolved.task;
+  if (resolved.sprint) req.sprint = resolved.sprint;
+
+  next();
+});
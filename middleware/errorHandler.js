@@ -53,6 +53,17 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Multer upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? 'File is too large'
+      : `Upload error: ${err.message}`;
+    error = {
+      message,
+      statusCode: 400
+    };
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
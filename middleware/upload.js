@@ -0,0 +1,46 @@
+import multer from 'multer';
+
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 10;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const allowedTypes = process.env.ALLOWED_UPLOAD_TYPES
+  ? process.env.ALLOWED_UPLOAD_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+/**
+ * Middleware to accept a single `file` field held in memory
+ * until the storage driver persists it
+ */
+export const uploadSingleFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      const error = new Error(`File type '${file.mimetype}' is not allowed`);
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+export { MAX_UPLOAD_SIZE_MB };
@@ -8,7 +8,7 @@ const activitySchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['task_created', 'task_updated', 'task_completed', 'member_added', 'comment_added', 'project_created', 'sprint_created'],
+    enum: ['task_created', 'task_updated', 'task_completed', 'member_added', 'comment_added', 'project_created', 'sprint_created', 'sprint_started', 'sprint_completed'],
     required: true
   },
   description: {
@@ -30,6 +30,7 @@ const activitySchema = new mongoose.Schema({
 
 // Index for efficient queries
 activitySchema.index({ project: 1, createdAt: -1 });
+activitySchema.index({ user: 1, createdAt: -1 });
 activitySchema.index({ createdAt: -1 });
 
 export default mongoose.model('Activity', activitySchema);
@@ -7,6 +7,11 @@ const commentSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -14,8 +19,33 @@ const commentSchema = new mongoose.Schema({
   },
   text: {
     type: String,
-    required: true,
-    trim: true
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  // Top-level comment this one replies to (threads are one level deep)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -23,5 +53,7 @@ const commentSchema = new mongoose.Schema({
 
 // Index for efficient queries
 commentSchema.index({ task: 1, createdAt: -1 });
+commentSchema.index({ task: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ text: 'text' }, { name: 'comment_text' });
 
 export default mongoose.model('Comment', commentSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { PROJECT_ROLES } from '../utils/permissions.js';
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -8,6 +9,18 @@ const projectSchema = new mongoose.Schema({
     minlength: [3, 'Project name must be at least 3 characters long'],
     maxlength: [100, 'Project name cannot exceed 100 characters']
   },
+  // Short prefix of task keys (PROJ in PROJ-123)
+  key: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z][A-Z0-9]{1,9}$/, 'Project key must be 2-10 letters or digits and start with a letter']
+  },
+  // Number of the last task created in the project
+  taskSequence: {
+    type: Number,
+    default: 0
+  },
   description: {
     type: String,
     required: [true, 'Project description is required'],
@@ -27,7 +40,7 @@ const projectSchema = new mongoose.Schema({
     },
     role: {
       type: String,
-      enum: ['Project Manager', 'Team Member'],
+      enum: PROJECT_ROLES,
       default: 'Team Member'
     },
     addedAt: {
@@ -47,6 +60,113 @@ const projectSchema = new mongoose.Schema({
   endDate: {
     type: Date
   },
+  // Board columns and allowed moves between them (see utils/workflow.js)
+  // Projects without statuses use the default To Do / In Progress / Review / Done workflow
+  workflow: {
+    statuses: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+      },
+      category: {
+        type: String,
+        enum: ['todo', 'in_progress', 'review', 'done'],
+        required: true
+      }
+    }],
+    // Empty means any status can move to any other
+    transitions: [{
+      _id: false,
+      from: {
+        type: String,
+        required: true
+      },
+      to: {
+        type: String,
+        required: true
+      }
+    }],
+    // Checks run when a task changes status (required fields, restricted roles)
+    rules: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['required_field', 'restrict_roles'],
+        required: true
+      },
+      from: String,
+      fromCategory: String,
+      to: String,
+      toCategory: String,
+      field: String,
+      min: Number,
+      roles: [String],
+      message: String
+    }]
+  },
+  // Labels tasks of the project can be tagged with (tasks store the label IDs)
+  labels: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 30
+    },
+    color: {
+      type: String,
+      match: /^#[0-9a-f]{6}$/,
+      default: '#6b7280'
+    }
+  }],
+  // Typed fields PMs add to the project's tasks (see utils/customFields.js)
+  customFields: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true,
+      match: /^[a-z][a-z0-9_]{0,39}$/
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'date', 'select', 'multiselect', 'user'],
+      required: true
+    },
+    // Choices of select and multiselect fields
+    options: [String],
+    required: {
+      type: Boolean,
+      default: false
+    },
+    description: {
+      type: String,
+      maxlength: 200
+    }
+  }],
+  // Due-date reminder settings (see utils/reminders.js); unset values use the server defaults
+  reminders: {
+    enabled: Boolean,
+    // Hours before the due date the assignee is reminded
+    leadHours: {
+      type: Number,
+      min: 1,
+      max: 720
+    },
+    // Hours after the due date an overdue task is escalated to the project managers
+    escalationHours: {
+      type: Number,
+      min: 1,
+      max: 720
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -57,9 +177,14 @@ const projectSchema = new mongoose.Schema({
 
 // Indexes for better performance
 projectSchema.index({ createdBy: 1 });
+projectSchema.index({ key: 1 }, { unique: true, sparse: true });
 projectSchema.index({ 'members.user': 1 });
 projectSchema.index({ status: 1 });
 projectSchema.index({ isActive: 1 });
+projectSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'project_text', weights: { name: 5, description: 1 } }
+);
 
 // Virtual for tasks
 projectSchema.virtual('tasks', {
@@ -42,6 +42,69 @@ const sprintSchema = new mongoose.Schema({
     enum: ['Planning', 'Active', 'Completed', 'Cancelled'],
     default: 'Planning'
   },
+  // Availability of team members for the sprint (see getCapacityBreakdown in utils/sprintStats.js)
+  capacity: {
+    unit: {
+      type: String,
+      enum: ['hours', 'points'],
+      default: 'hours'
+    },
+    members: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      capacity: {
+        type: Number,
+        min: 0,
+        required: true
+      }
+    }]
+  },
+  // Work in the sprint when it moved from Planning to Active (see utils/sprintStats.js)
+  commitment: {
+    takenAt: Date,
+    tasks: Number,
+    points: Number,
+    estimatedHours: Number,
+    taskIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }]
+  },
+  // Outcome of the sprint, saved when it is completed
+  report: {
+    completedAt: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    totalTasks: Number,
+    completedTasks: Number,
+    totalPoints: Number,
+    completedPoints: Number,
+    committedPoints: Number,
+    completedTaskIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    // Unfinished tasks and where they went (backlog or another sprint)
+    movedTaskIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    movedPoints: Number,
+    movedTo: {
+      type: String,
+      enum: ['backlog', 'sprint']
+    },
+    movedToSprint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sprint'
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -57,7 +120,16 @@ const sprintSchema = new mongoose.Schema({
 
 // Indexes
 sprintSchema.index({ project: 1, status: 1 });
+// A project has at most one active sprint
+sprintSchema.index(
+  { project: 1 },
+  { name: 'one_active_sprint', unique: true, partialFilterExpression: { status: 'Active', isActive: true } }
+);
 sprintSchema.index({ startDate: 1, endDate: 1 });
+sprintSchema.index(
+  { name: 'text', goal: 'text' },
+  { name: 'sprint_text', weights: { name: 5, goal: 1 } }
+);
 
 // Virtual for tasks
 sprintSchema.virtual('tasks', {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { getStorage } from '../utils/storage/index.js';
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -19,14 +20,33 @@ const taskSchema = new mongoose.Schema({
     ref: 'Project',
     required: true
   },
+  // Per-project sequence number and human-readable key (PROJ-123)
+  number: {
+    type: Number
+  },
+  key: {
+    type: String
+  },
   sprint: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Sprint',
     default: null
   },
+  // Hierarchy: Epic > Story / Task / Bug > Subtask (see utils/taskHierarchy.js)
+  issueType: {
+    type: String,
+    enum: ['Epic', 'Story', 'Task', 'Bug', 'Subtask'],
+    default: 'Task'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // One of the project's workflow statuses (see utils/workflow.js)
   status: {
     type: String,
-    enum: ['To Do', 'In Progress', 'Review', 'Done'],
+    trim: true,
     default: 'To Do'
   },
   priority: {
@@ -58,6 +78,58 @@ const taskSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Relative size estimate used for sprint velocity (null when not estimated)
+  storyPoints: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // IDs of labels defined on the project
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Repeat rule of a recurring task (see utils/recurrence.js). Only the first task of a
+  // series holds it; the instances created from it point back to it through `series`
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly']
+    },
+    interval: Number,
+    weekdays: {
+      type: [Number],
+      default: undefined
+    },
+    monthDay: Number,
+    until: Date,
+    count: Number,
+    rrule: String,
+    // Due date of the first task, which sets the time of day and where intervals count from
+    anchor: Date,
+    // Due date of the next task to create (null once the series has ended)
+    nextOccurrence: Date,
+    // Tasks in the series so far, including the first one
+    occurrences: Number
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // When each due-date notification was sent, so it is sent once per due date (cleared when it changes)
+  reminders: {
+    dueSoonAt: Date,
+    overdueAt: Date,
+    escalatedAt: Date
+  },
+  // Values of the project's custom fields, by field key (validated in utils/customFields.js)
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Legacy embedded comments, kept for old documents only.
+  // Comments now live in the Comment collection (see scripts/migrate_embedded_comments.js)
   comments: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -77,6 +149,11 @@ const taskSchema = new mongoose.Schema({
   attachments: [{
     name: String,
     url: String,
+    // Location of the file in the storage driver it was uploaded to
+    key: String,
+    storage: String,
+    size: Number,
+    mimeType: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -100,11 +177,36 @@ const taskSchema = new mongoose.Schema({
 
 // Indexes for performance
 taskSchema.index({ project: 1, status: 1 });
+taskSchema.index({ key: 1 }, { unique: true, sparse: true });
+taskSchema.index({ project: 1, isActive: 1, position: 1 });
+taskSchema.index({ assignedTo: 1, isActive: 1, createdAt: -1 });
 taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ sprint: 1 });
+taskSchema.index({ parent: 1, isActive: 1 });
+taskSchema.index({ project: 1, labels: 1 });
+taskSchema.index({ series: 1, isActive: 1 });
+taskSchema.index({ 'recurrence.nextOccurrence': 1 }, { sparse: true });
 taskSchema.index({ dueDate: 1 });
+taskSchema.index({ project: 1, isActive: 1, dueDate: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ position: 1 });
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'task_text', weights: { title: 5, description: 1 } }
+);
+
+// Remove stored attachment files when a task is permanently deleted
+taskSchema.post('deleteOne', { document: true, query: false }, async function() {
+  const storedFiles = this.attachments.filter(attachment => attachment.key);
+  if (storedFiles.length === 0) return;
+
+  try {
+    const storage = await getStorage();
+    await Promise.all(storedFiles.map(attachment => storage.remove(attachment.key)));
+  } catch (error) {
+    console.error('Error removing task attachments:', error);
+  }
+});
 
 const Task = mongoose.model('Task', taskSchema);
 
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true,
+    index: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+taskHistorySchema.index({ task: 1, createdAt: -1 });
+taskHistorySchema.index({ project: 1, 'changes.field': 1 });
+
+export default mongoose.model('TaskHistory', taskHistorySchema);
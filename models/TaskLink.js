@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// A directed link between two tasks, possibly in different projects:
+// `source` blocks / relates to / duplicates `target`
+const taskLinkSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['blocks', 'relates_to', 'duplicates'],
+    required: true
+  },
+  sourceProject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  targetProject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+taskLinkSchema.index({ source: 1, target: 1, type: 1 }, { unique: true });
+taskLinkSchema.index({ target: 1, type: 1 });
+taskLinkSchema.index({ targetProject: 1, type: 1 });
+
+export default mongoose.model('TaskLink', taskLinkSchema);
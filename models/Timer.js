@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const timerSchema = new mongoose.Schema({
+  // A user has at most one running timer
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for stopping a task's timers and listing a project's timers
+timerSchema.index({ task: 1 });
+timerSchema.index({ project: 1 });
+
+const Timer = mongoose.model('Timer', timerSchema);
+
+export default Timer;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const worklogSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Day the work was done (stored at midnight UTC)
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  minutes: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [24 * 60, 'Duration cannot exceed 24 hours']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for task lists and timesheets
+worklogSchema.index({ task: 1, date: -1 });
+worklogSchema.index({ user: 1, date: 1 });
+worklogSchema.index({ project: 1, date: 1 });
+
+const Worklog = mongoose.model('Worklog', worklogSchema);
+
+export default Worklog;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { getMyActivity } from '../controllers/activityController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/me', getMyActivity);
+
+export default router;
@@ -8,14 +8,19 @@ import {
   detectIssues,
   aiChat
 } from '../controllers/aiController.js';
-import { protect, isProjectManager } from '../middleware/auth.js';
+import { protect, authorizeProject } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 
 const router = express.Router();
 
 // Validation rules
 const generateTasksValidation = [
-  body('projectDescription').trim().notEmpty().withMessage('Project description is required')
+  body('projectDescription').trim().notEmpty().withMessage('Project description is required'),
+  body('projectId').isMongoId().withMessage('Valid project ID is required')
+];
+
+const sprintPlanValidation = [
+  body('projectId').isMongoId().withMessage('Valid project ID is required')
 ];
 
 const chatValidation = [
@@ -34,11 +39,11 @@ if (process.env.ALLOW_UNAUTH_AI_TEST === 'true') {
 router.use(protect);
 
 // AI features
-router.post('/generate-tasks', isProjectManager, generateTasksValidation, validate, generateTasks);
+router.post('/generate-tasks', generateTasksValidation, validate, authorizeProject('task:create', 'project', 'projectId', 'body'), generateTasks);
 router.post('/suggest-priority', suggestPriority);
-router.post('/generate-sprint-plan', isProjectManager, generateSprintPlan);
-router.get('/project-summary/:projectId', getProjectSummary);
-router.get('/detect-issues/:projectId', detectIssues);
+router.post('/generate-sprint-plan', sprintPlanValidation, validate, authorizeProject('sprint:manage', 'project', 'projectId', 'body'), generateSprintPlan);
+router.get('/project-summary/:projectId', authorizeProject('analytics:view', 'project', 'projectId'), getProjectSummary);
+router.get('/detect-issues/:projectId', authorizeProject('analytics:view', 'project', 'projectId'), detectIssues);
 router.post('/chat', chatValidation, validate, aiChat);
 
 export default router;
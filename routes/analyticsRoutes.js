@@ -5,7 +5,7 @@ import {
   getTeamPerformance
 } from '../controllers/analyticsController.js';
 import { getAnalytics } from '../controllers/analyticsController_new.js';
-import { protect, isProjectManager } from '../middleware/auth.js';
+import { protect, authorizeProject } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -14,7 +14,7 @@ router.use(protect);
 
 router.get('/', getAnalytics);
 router.get('/dashboard', getDashboardAnalytics);
-router.get('/project/:projectId', getProjectAnalytics);
-router.get('/team-performance/:projectId', isProjectManager, getTeamPerformance);
+router.get('/project/:projectId', authorizeProject('analytics:view', 'project', 'projectId'), getProjectAnalytics);
+router.get('/team-performance/:projectId', authorizeProject('analytics:team', 'project', 'projectId'), getTeamPerformance);
 
 export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} from '../controllers/attachmentController.js';
+import { authorizeProject } from '../middleware/auth.js';
+import { uploadSingleFile } from '../middleware/upload.js';
+
+// Mounted under /api/tasks/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+router.route('/')
+  .get(authorizeProject('project:view', 'task'), getAttachments)
+  .post(authorizeProject('attachment:upload', 'task'), uploadSingleFile, uploadAttachment);
+
+router.get('/:attachmentId/download', authorizeProject('project:view', 'task'), downloadAttachment);
+router.delete('/:attachmentId', authorizeProject('project:view', 'task'), deleteAttachment);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+} from '../controllers/commentController.js';
+import { authorizeProject } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+// Mounted under /api/tasks/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const commentValidation = [
+  body('text').trim().notEmpty().withMessage('Comment text is required')
+];
+
+router.route('/')
+  .get(authorizeProject('project:view', 'task'), getComments)
+  .post(authorizeProject('comment:create', 'task'), commentValidation, validate, addComment);
+
+router.route('/:commentId')
+  .put(authorizeProject('comment:create', 'task'), commentValidation, validate, updateComment)
+  .delete(authorizeProject('project:view', 'task'), deleteComment);
+
+export default router;
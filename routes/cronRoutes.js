@@ -0,0 +1,9 @@
+import express from 'express';
+import { runCronJobs } from '../controllers/cronController.js';
+
+const router = express.Router();
+
+// Called by Vercel Cron, authenticated with CRON_SECRET instead of a user token
+router.get('/run', runCronJobs);
+
+export default router;
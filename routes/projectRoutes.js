@@ -7,11 +7,24 @@ import {
   updateProject,
   deleteProject,
   addMember,
+  updateMemberRole,
   removeMember,
   getProjectStats
 } from '../controllers/projectController.js';
-import { protect, isProjectManager } from '../middleware/auth.js';
+import { getProjectActivity } from '../controllers/activityController.js';
+import { getProjectWorkflow, updateProjectWorkflow } from '../controllers/workflowController.js';
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} from '../controllers/customFieldController.js';
+import { getLabels, createLabel, updateLabel, deleteLabel } from '../controllers/labelController.js';
+import { getProjectVelocity } from '../controllers/sprintController.js';
+import { getProjectTimers } from '../controllers/timerController.js';
+import { protect, isProjectManager, authorizeProject } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
+import { ASSIGNABLE_ROLES } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -19,6 +32,12 @@ const router = express.Router();
 const createProjectValidation = [
   body('name').trim().notEmpty().withMessage('Project name is required'),
   body('description').trim().notEmpty().withMessage('Project description is required'),
+  body('key')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z][A-Z0-9]{1,9}$/)
+    .withMessage('Project key must be 2-10 letters or digits and start with a letter'),
   body('endDate').optional().isISO8601().withMessage('Invalid end date')
 ];
 
@@ -26,7 +45,13 @@ const addMemberValidation = [
   body('userId').notEmpty().withMessage('User ID is required'),
   body('role')
     .optional()
-    .isIn(['Project Manager', 'Team Member'])
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage('Invalid role')
+];
+
+const updateMemberRoleValidation = [
+  body('role')
+    .isIn(ASSIGNABLE_ROLES)
     .withMessage('Invalid role')
 ];
 
@@ -38,16 +63,40 @@ router.route('/')
   .post(isProjectManager, createProjectValidation, validate, createProject);
 
 router.route('/:id')
-  .get(getProject)
-  .put(isProjectManager, updateProject)
-  .delete(isProjectManager, deleteProject);
+  .get(authorizeProject('project:view'), getProject)
+  .put(authorizeProject('project:update'), updateProject)
+  .delete(authorizeProject('project:delete'), deleteProject);
 
 router.route('/:id/members')
-  .post(isProjectManager, addMemberValidation, validate, addMember);
+  .post(authorizeProject('project:manage-members'), addMemberValidation, validate, addMember);
 
 router.route('/:id/members/:userId')
-  .delete(isProjectManager, removeMember);
+  .patch(authorizeProject('project:manage-members'), updateMemberRoleValidation, validate, updateMemberRole)
+  .delete(authorizeProject('project:manage-members'), removeMember);
+
+router.get('/:id/stats', authorizeProject('project:view'), getProjectStats);
+router.get('/:id/activity', authorizeProject('project:view'), getProjectActivity);
+router.get('/:id/velocity', authorizeProject('project:view'), getProjectVelocity);
+router.get('/:id/timers', authorizeProject('project:view'), getProjectTimers);
+
+router.route('/:id/workflow')
+  .get(authorizeProject('project:view'), getProjectWorkflow)
+  .put(authorizeProject('project:update'), updateProjectWorkflow);
+
+router.route('/:id/custom-fields')
+  .get(authorizeProject('project:view'), getCustomFields)
+  .post(authorizeProject('project:update'), createCustomField);
+
+router.route('/:id/custom-fields/:key')
+  .put(authorizeProject('project:update'), updateCustomField)
+  .delete(authorizeProject('project:update'), deleteCustomField);
+
+router.route('/:id/labels')
+  .get(authorizeProject('project:view'), getLabels)
+  .post(authorizeProject('project:update'), createLabel);
 
-router.get('/:id/stats', getProjectStats);
+router.route('/:id/labels/:labelId')
+  .put(authorizeProject('project:update'), updateLabel)
+  .delete(authorizeProject('project:update'), deleteLabel);
 
 export default router;
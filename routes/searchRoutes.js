@@ -0,0 +1,11 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { search } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', search);
+
+export default router;
@@ -7,9 +7,14 @@ import {
   updateSprint,
   deleteSprint,
   getSprintStats,
-  getSprintTasks
+  getSprintTasks,
+  startSprint,
+  completeSprint,
+  getSprintBurndown,
+  getSprintCapacity,
+  updateSprintCapacity
 } from '../controllers/sprintController.js';
-import { protect, isProjectManager } from '../middleware/auth.js';
+import { protect, authorizeProject } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 
 const router = express.Router();
@@ -26,16 +31,22 @@ router.use(protect);
 
 // Sprint-specific routes
 router.route('/:id')
-  .get(getSprint)
-  .put(isProjectManager, updateSprint)
-  .delete(isProjectManager, deleteSprint);
+  .get(authorizeProject('project:view', 'sprint'), getSprint)
+  .put(authorizeProject('sprint:manage', 'sprint'), updateSprint)
+  .delete(authorizeProject('sprint:manage', 'sprint'), deleteSprint);
 
-router.get('/:id/stats', getSprintStats);
-router.get('/:id/tasks', getSprintTasks);
+router.get('/:id/stats', authorizeProject('project:view', 'sprint'), getSprintStats);
+router.get('/:id/tasks', authorizeProject('project:view', 'sprint'), getSprintTasks);
+router.get('/:id/burndown', authorizeProject('project:view', 'sprint'), getSprintBurndown);
+router.route('/:id/capacity')
+  .get(authorizeProject('project:view', 'sprint'), getSprintCapacity)
+  .put(authorizeProject('sprint:manage', 'sprint'), updateSprintCapacity);
+router.post('/:id/start', authorizeProject('sprint:manage', 'sprint'), startSprint);
+router.post('/:id/complete', authorizeProject('sprint:manage', 'sprint'), completeSprint);
 
 // Project-specific sprint routes
 router.route('/project/:projectId')
-  .get(getSprints)
-  .post(isProjectManager, createSprintValidation, validate, createSprint);
+  .get(authorizeProject('project:view', 'project', 'projectId'), getSprints)
+  .post(authorizeProject('sprint:manage', 'project', 'projectId'), createSprintValidation, validate, createSprint);
 
 export default router;
@@ -7,12 +7,22 @@ import {
   updateTask,
   updateTaskStatus,
   deleteTask,
-  addComment,
   getMyTasks,
   bulkUpdatePositions
 } from '../controllers/taskController.js';
-import { protect, isProjectManager } from '../middleware/auth.js';
+import { getTaskHistory } from '../controllers/taskHistoryController.js';
+import { getChildren, getRollup } from '../controllers/taskHierarchyController.js';
+import { getTaskLinks, addTaskLink, removeTaskLink } from '../controllers/taskLinkController.js';
+import { exportTasks } from '../controllers/taskExportController.js';
+import { addTaskLabels, removeTaskLabel } from '../controllers/labelController.js';
+import { startTimer, stopTimer } from '../controllers/timerController.js';
+import { getTaskSeries } from '../controllers/recurrenceController.js';
+import commentRoutes from './commentRoutes.js';
+import attachmentRoutes from './attachmentRoutes.js';
+import worklogRoutes from './worklogRoutes.js';
+import { protect, authorizeProject } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
+import { ISSUE_TYPES } from '../utils/taskHierarchy.js';
 
 const router = express.Router();
 
@@ -24,11 +34,26 @@ const createTaskValidation = [
   body('priority')
     .optional()
     .isIn(['Low', 'Medium', 'High'])
-    .withMessage('Invalid priority')
+    .withMessage('Invalid priority'),
+  body('issueType')
+    .optional()
+    .isIn(ISSUE_TYPES)
+    .withMessage('Invalid issue type'),
+  body('storyPoints')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Story points must be a positive number')
 ];
 
-const addCommentValidation = [
-  body('text').trim().notEmpty().withMessage('Comment text is required')
+// Checked before a timer is stopped, so that an invalid note cannot lose the tracked time
+const timerValidation = [
+  body('note')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Note must be text of at most 500 characters')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be text of at most 500 characters')
 ];
 
 // All routes are protected
@@ -40,18 +65,38 @@ router.get('/my-tasks', getMyTasks);
 // Bulk update positions
 router.patch('/bulk-update-positions', bulkUpdatePositions);
 
+// Look up a task by its key (PROJ-123)
+router.get('/key/:key', authorizeProject('project:view', 'task', 'key'), getTask);
+
 // Task-specific routes (not under project)
 router.route('/:id')
-  .get(getTask)
-  .put(updateTask)
-  .delete(isProjectManager, deleteTask);
+  .get(authorizeProject('project:view', 'task'), getTask)
+  .put(authorizeProject('task:update-status', 'task'), updateTask)
+  .delete(authorizeProject('task:delete', 'task'), deleteTask);
 
-router.patch('/:id/status', updateTaskStatus);
-router.post('/:id/comments', addCommentValidation, validate, addComment);
+router.patch('/:id/status', authorizeProject('task:update-status', 'task'), updateTaskStatus);
+router.get('/:id/history', authorizeProject('project:view', 'task'), getTaskHistory);
+router.get('/:id/children', authorizeProject('project:view', 'task'), getChildren);
+router.get('/:id/rollup', authorizeProject('project:view', 'task'), getRollup);
+router.get('/:id/series', authorizeProject('project:view', 'task'), getTaskSeries);
+
+router.route('/:id/links')
+  .get(authorizeProject('project:view', 'task'), getTaskLinks)
+  .post(authorizeProject('task:link', 'task'), addTaskLink);
+router.delete('/:id/links/:linkId', authorizeProject('task:link', 'task'), removeTaskLink);
+router.post('/:id/labels', authorizeProject('task:label', 'task'), addTaskLabels);
+router.delete('/:id/labels/:labelId', authorizeProject('task:label', 'task'), removeTaskLabel);
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/attachments', attachmentRoutes);
+router.use('/:id/worklogs', worklogRoutes);
+router.post('/:id/timer/start', authorizeProject('worklog:create', 'task'), timerValidation, validate, startTimer);
+router.post('/:id/timer/stop', authorizeProject('worklog:create', 'task'), timerValidation, validate, stopTimer);
 
 // Project-specific task routes
 router.route('/project/:projectId')
-  .get(getTasks)
-  .post(isProjectManager, createTaskValidation, validate, createTask);
+  .get(authorizeProject('project:view', 'project', 'projectId'), getTasks)
+  .post(authorizeProject('task:create', 'project', 'projectId'), createTaskValidation, validate, createTask);
+
+router.get('/project/:projectId/export', authorizeProject('project:view', 'project', 'projectId'), exportTasks);
 
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getTimesheet } from '../controllers/worklogController.js';
+import { getMyTimer } from '../controllers/timerController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/timesheet', getTimesheet);
+router.get('/timer', getMyTimer);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getWorklogs,
+  addWorklog,
+  updateWorklog,
+  deleteWorklog
+} from '../controllers/worklogController.js';
+import { authorizeProject } from '../middleware/auth.js';
+
+// Mounted under /api/tasks/:id/worklogs
+const router = express.Router({ mergeParams: true });
+
+router.route('/')
+  .get(authorizeProject('project:view', 'task'), getWorklogs)
+  .post(authorizeProject('worklog:create', 'task'), addWorklog);
+
+router.route('/:worklogId')
+  .put(authorizeProject('worklog:create', 'task'), updateWorklog)
+  .delete(authorizeProject('worklog:create', 'task'), deleteWorklog);
+
+export default router;
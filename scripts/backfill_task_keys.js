@@ -0,0 +1,53 @@
+// One-off migration: give existing projects a key and number their tasks (PROJ-1, PROJ-2, ...)
+// Tasks are numbered in creation order, after any numbers already assigned
+// Usage: node scripts/backfill_task_keys.js
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import { generateProjectKey } from '../utils/projectKey.js';
+
+dotenv.config();
+
+const backfill = async () => {
+  await connectDB();
+
+  const projects = await Project.find().select('name key taskSequence');
+  let keyedProjects = 0;
+  let numberedTasks = 0;
+
+  for (const project of projects) {
+    if (!project.key) {
+      project.key = await generateProjectKey(project.name);
+      keyedProjects += 1;
+    }
+
+    const tasks = await Task.find({ project: project._id, number: { $exists: false } })
+      .sort('createdAt')
+      .select('_id');
+
+    let sequence = project.taskSequence || 0;
+    for (const task of tasks) {
+      sequence += 1;
+      await Task.updateOne(
+        { _id: task._id },
+        { $set: { number: sequence, key: `${project.key}-${sequence}` } }
+      );
+    }
+
+    project.taskSequence = sequence;
+    await project.save({ validateBeforeSave: false });
+    numberedTasks += tasks.length;
+  }
+
+  console.log(`✅ Generated ${keyedProjects} project keys and numbered ${numberedTasks} tasks`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,53 @@
+// One-off migration: turn the actualHours typed on tasks into worklog entries
+// Tasks that already have worklogs are left alone. Each entry is logged for the
+// assignee (or the creator) on the day the task was last updated.
+// Usage: node scripts/migrate_actual_hours_to_worklogs.js
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Task from '../models/Task.js';
+import Worklog from '../models/Worklog.js';
+import { toDay } from '../utils/worklogs.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+
+  const loggedTaskIds = await Worklog.distinct('task');
+  const tasks = await Task.find({ actualHours: { $gt: 0 }, _id: { $nin: loggedTaskIds } })
+    .select('project assignedTo createdBy actualHours updatedAt');
+
+  let created = 0;
+
+  for (const task of tasks) {
+    // Worklog entries are capped at 24 hours, so large totals are split over several days
+    let minutes = Math.round(task.actualHours * 60);
+    let day = toDay(task.updatedAt);
+
+    while (minutes > 0) {
+      const entry = Math.min(minutes, 24 * 60);
+      await Worklog.create({
+        task: task._id,
+        project: task.project,
+        user: task.assignedTo || task.createdBy,
+        date: day,
+        minutes: entry,
+        note: 'Imported from actual hours'
+      });
+      minutes -= entry;
+      day = new Date(day.getTime() - 24 * 60 * 60 * 1000);
+      created += 1;
+    }
+  }
+
+  console.log(`✅ Created ${created} worklog entries for ${tasks.length} tasks`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+// One-off migration: move comments embedded in Task.comments into the Comment collection
+// Usage: node scripts/migrate_embedded_comments.js
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Task from '../models/Task.js';
+import Comment from '../models/Comment.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+
+  const tasks = await Task.find({ 'comments.0': { $exists: true } }).select('project comments');
+  let migrated = 0;
+
+  for (const task of tasks) {
+    const comments = task.comments.map(comment => ({
+      task: task._id,
+      project: task.project,
+      user: comment.user,
+      text: comment.text,
+      parent: null,
+      mentions: [],
+      isEdited: false,
+      isDeleted: false,
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt
+    }));
+
+    // Insert through the driver to keep the original timestamps
+    await Comment.collection.insertMany(comments);
+    await Task.updateOne({ _id: task._id }, { $set: { comments: [] } });
+    migrated += comments.length;
+  }
+
+  console.log(`✅ Migrated ${migrated} comments from ${tasks.length} tasks`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,6 +8,7 @@ import { initSocket } from './config/socket.js';
 import { configurePassport } from './config/passport.js';
 import passport from 'passport';
 import errorHandler from './middleware/errorHandler.js';
+import { startScheduler } from './jobs/scheduler.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
@@ -17,6 +18,10 @@ import sprintRoutes from './routes/sprintRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
+import activityRoutes from './routes/activityRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import timesheetRoutes from './routes/timesheetRoutes.js';
+import cronRoutes from './routes/cronRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -84,6 +89,10 @@ app.use('/api/sprints', sprintRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/worklogs', timesheetRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -107,7 +116,10 @@ app.get('/', (req, res) => {
       sprints: '/api/sprints',
       ai: '/api/ai',
       analytics: '/api/analytics',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      activity: '/api/activity',
+      search: '/api/search',
+      worklogs: '/api/worklogs'
     }
   });
 });
@@ -137,6 +149,9 @@ httpServer.listen(PORT, () => {
   ║                                                          ║
   ╚══════════════════════════════════════════════════════════╝
   `);
+
+  // Background jobs (recurring tasks, due-date reminders)
+  startScheduler();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecurrence, getNextOccurrence, scheduleNextOccurrence } from '../utils/recurrence.js';
+import { splitByDay } from '../utils/worklogs.js';
+
+const date = value => new Date(value);
+
+// Successive occurrences after the anchor
+const sequence = (input, anchor, length) => {
+  const rule = parseRecurrence(input);
+  const dates = [];
+  let after = date(anchor);
+  for (let i = 0; i < length; i += 1) {
+    after = getNextOccurrence(rule, anchor, after);
+    if (!after) break;
+    dates.push(after.toISOString());
+  }
+  return dates;
+};
+
+test('daily occurrences follow the interval and keep the time of day', () => {
+  assert.deepEqual(sequence({ frequency: 'daily', interval: 3 }, '2026-03-01T09:30:00Z', 3), [
+    '2026-03-04T09:30:00.000Z',
+    '2026-03-07T09:30:00.000Z',
+    '2026-03-10T09:30:00.000Z'
+  ]);
+});
+
+test('weekly occurrences can skip weeks and list several weekdays', () => {
+  // 2026-03-02 is a Monday
+  assert.deepEqual(sequence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2026-03-02T08:00:00Z', 4), [
+    '2026-03-05T08:00:00.000Z',
+    '2026-03-16T08:00:00.000Z',
+    '2026-03-19T08:00:00.000Z',
+    '2026-03-30T08:00:00.000Z'
+  ]);
+});
+
+test('monthly occurrences are clamped to short months', () => {
+  assert.deepEqual(sequence({ frequency: 'monthly' }, '2026-01-31T12:00:00Z', 3), [
+    '2026-02-28T12:00:00.000Z',
+    '2026-03-31T12:00:00.000Z',
+    '2026-04-30T12:00:00.000Z'
+  ]);
+  assert.deepEqual(sequence('FREQ=MONTHLY;BYMONTHDAY=-1', '2028-01-10T00:00:00Z', 2), [
+    '2028-01-31T00:00:00.000Z',
+    '2028-02-29T00:00:00.000Z'
+  ]);
+});
+
+test('occurrences after a gap are computed from the anchor', () => {
+  const rule = parseRecurrence({ frequency: 'daily', interval: 2 });
+  const next = getNextOccurrence(rule, date('2026-03-01T10:00:00Z'), date('2026-03-10T11:00:00Z'));
+  assert.equal(next.toISOString(), '2026-03-11T10:00:00.000Z');
+});
+
+test('until and count end the series', () => {
+  assert.deepEqual(sequence({ frequency: 'daily', until: '2026-03-03T23:59:59Z' }, '2026-03-01T09:00:00Z', 5), [
+    '2026-03-02T09:00:00.000Z',
+    '2026-03-03T09:00:00.000Z'
+  ]);
+
+  const recurrence = { ...parseRecurrence('FREQ=DAILY;COUNT=2'), anchor: date('2026-03-01T09:00:00Z') };
+  assert.equal(scheduleNextOccurrence(recurrence, recurrence.anchor, 1).toISOString(), '2026-03-02T09:00:00.000Z');
+  assert.equal(scheduleNextOccurrence(recurrence, recurrence.anchor, 2), null);
+});
+
+test('parseRecurrence builds the RRULE and rejects invalid rules', () => {
+  assert.equal(parseRecurrence({ frequency: 'weekly', weekdays: ['th', 1] }).rrule, 'FREQ=WEEKLY;BYDAY=MO,TH');
+
+  const rejects = (input, message) => assert.throws(
+    () => parseRecurrence(input),
+    error => error.statusCode === 400 && message.test(error.message)
+  );
+  rejects({ frequency: 'yearly' }, /frequency/);
+  rejects({ frequency: 'daily', interval: 0 }, /interval/);
+  rejects({ frequency: 'daily', weekdays: ['MO'] }, /weekly/);
+  rejects({ frequency: 'monthly', monthDay: 32 }, /Day of the month/);
+  rejects({ frequency: 'daily', until: '2026-12-31', count: 3 }, /not both/);
+  rejects('FREQ=WEEKLY;BYDAY=1MO', /plain weekdays/);
+  rejects('FREQ=DAILY;BYHOUR=9', /Unsupported/);
+});
+
+test('splitByDay splits a span at UTC midnight and drops empty days', () => {
+  assert.deepEqual(splitByDay(date('2026-03-01T23:30:00Z'), date('2026-03-02T01:00:00Z')), [
+    { date: date('2026-03-01T00:00:00Z'), minutes: 30 },
+    { date: date('2026-03-02T00:00:00Z'), minutes: 60 }
+  ]);
+  assert.deepEqual(splitByDay(date('2026-03-01T23:59:50Z'), date('2026-03-02T00:30:00Z')), [
+    { date: date('2026-03-02T00:00:00Z'), minutes: 30 }
+  ]);
+});
@@ -0,0 +1,64 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import TaskLink from '../models/TaskLink.js';
+import { findBlockedChains, checkBlockers } from '../utils/taskLinks.js';
+import { getWorkflow } from '../utils/workflow.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const ids = condition => (condition && condition.$in ? condition.$in : [condition]).map(String);
+
+const user = id();
+const stranger = id();
+const visibleProject = { _id: id(), createdBy: user, members: [] };
+const otherProject = { _id: id(), createdBy: stranger, members: [] };
+
+const task = (project, key) => ({ _id: id(), key, title: `Title of ${key}`, status: 'To Do', project: project._id, isActive: true });
+const blocked = task(visibleProject, 'VIS-1');
+const localBlocker = task(visibleProject, 'VIS-2');
+const foreignBlocker = task(otherProject, 'SECRET-1');
+
+// VIS-1 is blocked by VIS-2, which is blocked by SECRET-1 in a project the user cannot view
+const links = [
+  { source: localBlocker._id, target: blocked._id, targetProject: visibleProject._id, type: 'blocks' },
+  { source: foreignBlocker._id, target: localBlocker._id, targetProject: visibleProject._id, type: 'blocks' }
+];
+
+// Model queries answered from the fixtures above, as `Model.find(filter).select(fields)`
+const answer = (docs, matches) => filter => ({ select: async () => docs.filter(doc => matches(doc, filter)) });
+
+const mockModels = () => {
+  mock.method(TaskLink, 'find', answer(links, (link, filter) => (
+    (!filter.targetProject || String(link.targetProject) === String(filter.targetProject))
+    && (!filter.target || ids(filter.target).includes(String(link.target)))
+  )));
+  mock.method(Task, 'find', answer([blocked, localBlocker, foreignBlocker], (doc, filter) => ids(filter._id).includes(String(doc._id))));
+  mock.method(Project, 'find', answer([visibleProject, otherProject], (doc, filter) => ids(filter._id).includes(String(doc._id))));
+};
+
+afterEach(() => mock.restoreAll());
+
+test('findBlockedChains only counts blockers in projects the user cannot view', async () => {
+  mockModels();
+
+  const [entry, ...rest] = await findBlockedChains(visibleProject._id, user);
+
+  assert.equal(rest.length, 0);
+  assert.equal(entry.task.key, 'VIS-1');
+  assert.deepEqual(entry.chain.map(t => t.key), ['VIS-2']);
+  assert.equal(entry.hiddenBlockers, 1);
+  assert.doesNotMatch(JSON.stringify(entry), /SECRET/);
+});
+
+test('checkBlockers only counts blockers in projects the user cannot view', async () => {
+  mockModels();
+
+  const { errors } = await checkBlockers(localBlocker, getWorkflow(null), 'To Do', 'Done', user);
+
+  assert.equal(errors.length, 1);
+  assert.deepEqual(errors[0].blockedBy, []);
+  assert.equal(errors[0].hiddenBlockers, 1);
+  assert.doesNotMatch(errors[0].message, /SECRET/);
+});
@@ -0,0 +1,116 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { parseSort, encodeCursor, decodeCursor, buildCursorFilter, findTasks } from '../utils/taskQuery.js';
+
+// Minimal evaluator for the filter shapes built by buildCursorFilter, following MongoDB
+// semantics: null matches null and missing values, range operators never match them
+const isNull = value => value === null || value === undefined;
+const compare = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left instanceof mongoose.Types.ObjectId) return left.toString().localeCompare(right.toString());
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+const matchesCondition = (value, condition) => {
+  if (condition === null) return isNull(value);
+  if (condition instanceof Date || condition instanceof mongoose.Types.ObjectId || typeof condition !== 'object') {
+    return !isNull(value) && compare(value, condition) === 0;
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    if (op === '$ne') return operand === null ? !isNull(value) : isNull(value) || compare(value, operand) !== 0;
+    if (isNull(value)) return false;
+    if (op === '$gt') return compare(value, operand) > 0;
+    if (op === '$lt') return compare(value, operand) < 0;
+    throw new Error(`Unsupported operator ${op}`);
+  });
+};
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key === '$and') return condition.every(branch => matches(doc, branch));
+  return matchesCondition(doc[key], condition);
+});
+
+// MongoDB order: nulls first, then by value, ties broken by _id
+const sortDocs = (docs, field, direction) => [...docs].sort((a, b) => {
+  const aNull = isNull(a[field]);
+  const bNull = isNull(b[field]);
+  const byValue = aNull || bNull ? (aNull === bNull ? 0 : aNull ? -1 : 1) : compare(a[field], b[field]);
+  return (byValue || compare(a._id, b._id)) * direction;
+});
+
+const pageThrough = (docs, field, direction, limit) => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const candidates = cursor ? docs.filter(doc => matches(doc, buildCursorFilter(field, direction, cursor))) : docs;
+    const page = sortDocs(candidates, field, direction).slice(0, limit + 1);
+    const hasMore = page.length > limit;
+    const pageDocs = page.slice(0, limit);
+    seen.push(...pageDocs);
+    cursor = hasMore ? encodeCursor(pageDocs[pageDocs.length - 1], field) : null;
+  } while (cursor);
+  return seen;
+};
+
+const tasks = [3, null, 5, undefined, 3, null, 1, 8, null, 5].map(storyPoints => ({
+  _id: new mongoose.Types.ObjectId(),
+  storyPoints,
+  dueDate: new Date(Date.UTC(2026, 0, 1 + (storyPoints || 0)))
+}));
+
+for (const direction of [1, -1]) {
+  test(`cursor pages cover every task once, nulls included (direction ${direction})`, () => {
+    for (const limit of [1, 2, 3, 4]) {
+      const expected = sortDocs(tasks, 'storyPoints', direction).map(task => task._id.toString());
+      const seen = pageThrough(tasks, 'storyPoints', direction, limit).map(task => task._id.toString());
+      assert.deepEqual(seen, expected, `limit ${limit}`);
+    }
+  });
+}
+
+test('cursor pages on a date field', () => {
+  const expected = sortDocs(tasks, 'dueDate', -1).map(task => task._id.toString());
+  assert.deepEqual(pageThrough(tasks, 'dueDate', -1, 3).map(task => task._id.toString()), expected);
+});
+
+test('cursors keep dates and encode missing values as null', () => {
+  const id = new mongoose.Types.ObjectId();
+  const date = new Date('2026-10-19T09:00:00Z');
+
+  assert.deepEqual(decodeCursor(encodeCursor({ _id: id, dueDate: date }, 'dueDate')), { value: date, id });
+  assert.equal(decodeCursor(encodeCursor({ _id: id }, 'number')).value, null);
+});
+
+test('invalid cursors are rejected with 400', () => {
+  assert.throws(() => decodeCursor('not-a-cursor'), { statusCode: 400 });
+  assert.throws(() => decodeCursor(['a', 'b']), { statusCode: 400 });
+});
+
+test('parseSort reads the direction and rejects unsupported sorts with 400', () => {
+  assert.deepEqual(parseSort('-dueDate', 'position'), { field: 'dueDate', direction: -1 });
+  assert.deepEqual(parseSort(undefined, 'position'), { field: 'position', direction: 1 });
+  assert.throws(() => parseSort(['title', 'dueDate'], 'position'), { statusCode: 400 });
+  assert.throws(() => parseSort('priority', 'position'), { statusCode: 400 });
+});
+
+test('findTasks caps what clients get and only returns everything to internal callers', async () => {
+  const limits = [];
+  const query = { sort: () => query, skip: () => query, limit: (n) => { limits.push(n); return query; }, then: resolve => resolve([]) };
+  mock.method(Task, 'countDocuments', async () => 1000);
+  mock.method(Task, 'find', () => query);
+
+  try {
+    await findTasks({}, {});
+    await findTasks({}, { limit: 'all' });
+    await findTasks({}, { limit: '5000' });
+    await findTasks({}, {}, { all: true });
+  } finally {
+    mock.restoreAll();
+  }
+
+  // Default page of 50, 'all' is not a size clients can ask for (cursor page of 50, plus one
+  // to detect a next page), 200 at most, and no limit for the internal `all` option
+  assert.deepEqual(limits, [50, 51, 201]);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWorkflow, validateStatusChange, isDoneStatus, getWorkflow } from '../utils/workflow.js';
+
+const { workflow } = parseWorkflow({
+  statuses: [
+    { name: 'Backlog', category: 'todo' },
+    { name: 'Doing', category: 'in_progress' },
+    { name: 'Review', category: 'review' },
+    { name: 'Done', category: 'done' }
+  ],
+  transitions: [
+    { from: 'Backlog', to: 'Doing' },
+    { from: 'Doing', to: 'Review' },
+    { from: 'Review', to: 'Doing' },
+    { from: 'Review', to: 'Done' },
+    { from: 'Done', to: 'Doing' }
+  ],
+  rules: [
+    { type: 'required_field', toCategory: 'done', field: 'actualHours' },
+    { type: 'required_field', to: 'Review', field: 'assignedTo' },
+    { type: 'restrict_roles', fromCategory: 'done', roles: ['Owner', 'Project Manager'], message: 'Only PMs can reopen finished tasks' }
+  ]
+});
+
+const check = (task, from, to, role = 'Developer') => validateStatusChange(workflow, task, from, to, role)
+  .map(error => error.rule);
+
+test('validateStatusChange allows listed transitions and staying in place', () => {
+  assert.deepEqual(check({}, 'Backlog', 'Doing'), []);
+  assert.deepEqual(check({}, 'Backlog', 'Backlog'), []);
+});
+
+test('validateStatusChange rejects unknown statuses and unlisted transitions', () => {
+  assert.deepEqual(check({}, 'Backlog', 'Nope'), ['status']);
+
+  const [error] = validateStatusChange(workflow, {}, 'Backlog', 'Review', 'Developer');
+  assert.equal(error.rule, 'transition');
+  assert.match(error.message, /Allowed: Doing$/);
+});
+
+test('validateStatusChange checks required fields of matching rules', () => {
+  assert.deepEqual(check({}, 'Doing', 'Review'), ['required_field']);
+  assert.deepEqual(check({ assignedTo: 'user' }, 'Doing', 'Review'), []);
+  assert.deepEqual(check({ actualHours: null }, 'Review', 'Done'), ['required_field']);
+  assert.deepEqual(check({ actualHours: 3 }, 'Review', 'Done'), []);
+  assert.deepEqual(check({ actualHours: 0 }, 'Review', 'Done'), ['required_field']);
+  assert.deepEqual(check({ assignedTo: '  ' }, 'Doing', 'Review'), ['required_field']);
+});
+
+test('validateStatusChange counts 0 as set unless the field defaults to 0, and checks minimums', () => {
+  const { workflow: pointed } = parseWorkflow({
+    statuses: workflow.statuses,
+    rules: [
+      { type: 'required_field', to: 'Review', field: 'storyPoints' },
+      { type: 'required_field', toCategory: 'done', field: 'storyPoints', min: 1 }
+    ]
+  });
+  const checkPointed = (task, to) => validateStatusChange(pointed, task, 'Doing', to, 'Developer');
+
+  assert.deepEqual(checkPointed({ storyPoints: 0 }, 'Review'), []);
+  assert.deepEqual(checkPointed({ storyPoints: null }, 'Review').map(e => e.rule), ['required_field']);
+
+  const [error] = checkPointed({ storyPoints: 0 }, 'Done');
+  assert.equal(error.message, "'storyPoints' must be at least 1 to move a task to 'Done'");
+  assert.deepEqual(checkPointed({ storyPoints: 2 }, 'Done'), []);
+});
+
+test('validateStatusChange restricts roles and uses custom messages', () => {
+  const errors = validateStatusChange(workflow, {}, 'Done', 'Doing', 'Developer');
+  assert.deepEqual(errors, [{ rule: 'restrict_roles', field: 'status', message: 'Only PMs can reopen finished tasks' }]);
+  assert.deepEqual(check({}, 'Done', 'Doing', 'Project Manager'), []);
+});
+
+test('validateStatusChange allows any move without transitions', () => {
+  const open = parseWorkflow({ statuses: workflow.statuses }).workflow;
+  assert.deepEqual(validateStatusChange(open, {}, 'Backlog', 'Done', 'Developer'), []);
+});
+
+test('isDoneStatus follows status categories', () => {
+  assert.equal(isDoneStatus(workflow, 'Done'), true);
+  assert.equal(isDoneStatus(workflow, 'Review'), false);
+  assert.equal(isDoneStatus(getWorkflow({}), 'Done'), true);
+});
+
+test('parseWorkflow collects renames and rejects invalid definitions', () => {
+  const { renames } = parseWorkflow({
+    statuses: [
+      { name: 'Open', category: 'todo', previousName: 'Backlog' },
+      { name: 'Done', category: 'done', previousName: 'Done' }
+    ]
+  });
+  assert.deepEqual(renames, { Backlog: 'Open' });
+
+  const rejects = (definition, message) => assert.throws(
+    () => parseWorkflow(definition),
+    error => error.statusCode === 400 && message.test(error.message)
+  );
+  rejects({ statuses: [] }, /at least one status/);
+  rejects({ statuses: [{ name: 'Todo', category: 'todo' }] }, /done category/);
+  rejects({ statuses: [{ name: 'Done', category: 'done' }, { name: 'Done', category: 'done' }] }, /Duplicate/);
+  rejects({ statuses: [{ name: 'Done', category: 'done' }], transitions: [{ from: 'Done', to: 'Gone' }] }, /unknown status/);
+  rejects({ statuses: [{ name: 'Done', category: 'done' }], rules: [{ type: 'required_field', field: 'title' }] }, /Invalid required field/);
+  rejects({ statuses: [{ name: 'Done', category: 'done' }], rules: [{ type: 'restrict_roles', roles: ['Boss'] }] }, /Restricted roles/);
+  rejects({ statuses: [{ name: 'Done', category: 'done' }], rules: [{ type: 'required_field', field: 'dueDate', min: 1 }] }, /minimum can only be set/);
+  rejects({ statuses: [{ name: 'Done', category: 'done' }], rules: [{ type: 'required_field', field: 'storyPoints', min: '1' }] }, /at least 0/);
+});
@@ -0,0 +1,255 @@
+import mongoose from 'mongoose';
+import { getProjectRole } from './permissions.js';
+import { badRequest } from './httpError.js';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect', 'user'];
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_FIELDS = 50;
+const MAX_TEXT_LENGTH = 1000;
+
+const hasOptions = (type) => type === 'select' || type === 'multiselect';
+
+const parseOptions = (options, name) => {
+  if (!Array.isArray(options) || options.length === 0) {
+    throw badRequest(`Custom field '${name}' needs a list of options`);
+  }
+
+  const parsed = [...new Set(options.map(option => String(option).trim()).filter(Boolean))];
+  if (parsed.length === 0) {
+    throw badRequest(`Custom field '${name}' needs a list of options`);
+  }
+  return parsed;
+};
+
+/**
+ * Validate a new custom field definition
+ * @param {Object} definition - { key, name, type, options, required, description }
+ * @param {Array} existing - Fields already defined on the project
+ */
+export const parseFieldDefinition = (definition, existing = []) => {
+  const { key, name, type, options, required, description } = definition || {};
+
+  if (!FIELD_KEY_PATTERN.test(key || '')) {
+    throw badRequest('Field key must start with a lowercase letter and contain only lowercase letters, digits and underscores (max 40)');
+  }
+
+  if (existing.some(field => field.key === key)) {
+    throw badRequest(`A custom field with key '${key}' already exists`);
+  }
+
+  if (existing.length >= MAX_FIELDS) {
+    throw badRequest(`A project cannot have more than ${MAX_FIELDS} custom fields`);
+  }
+
+  if (!name || !String(name).trim()) {
+    throw badRequest('Field name is required');
+  }
+
+  if (!CUSTOM_FIELD_TYPES.includes(type)) {
+    throw badRequest(`Invalid field type '${type}'. Allowed: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+  }
+
+  return {
+    key,
+    name: String(name).trim(),
+    type,
+    options: hasOptions(type) ? parseOptions(options, key) : [],
+    required: required === true,
+    description: description ? String(description).trim() : ''
+  };
+};
+
+/**
+ * Apply changes to an existing definition (the key and type cannot change)
+ */
+export const parseFieldUpdate = (field, changes) => {
+  const updated = {
+    key: field.key,
+    name: field.name,
+    type: field.type,
+    options: [...(field.options || [])],
+    required: field.required,
+    description: field.description || ''
+  };
+
+  if (changes.type !== undefined && changes.type !== field.type) {
+    throw badRequest('The type of a custom field cannot be changed');
+  }
+
+  if (changes.name !== undefined) {
+    if (!String(changes.name).trim()) throw badRequest('Field name is required');
+    updated.name = String(changes.name).trim();
+  }
+  if (changes.required !== undefined) updated.required = changes.required === true;
+  if (changes.description !== undefined) updated.description = String(changes.description || '').trim();
+  if (changes.options !== undefined && hasOptions(field.type)) {
+    updated.options = parseOptions(changes.options, field.key);
+  }
+
+  return updated;
+};
+
+const isEmpty = (value) => value === undefined
+  || value === null
+  || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Cast and check one value against its field definition
+ */
+const castValue = (field, value, project) => {
+  switch (field.type) {
+    case 'text': {
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw badRequest(`'${field.name}' cannot exceed ${MAX_TEXT_LENGTH} characters`);
+      }
+      return text;
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (!Number.isFinite(number) || (typeof value === 'string' && value.trim() === '')) {
+        throw badRequest(`'${field.name}' must be a number`);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw badRequest(`'${field.name}' must be a valid date`);
+      }
+      return date;
+    }
+    case 'select': {
+      const option = String(value);
+      if (!field.options.includes(option)) {
+        throw badRequest(`'${field.name}' must be one of: ${field.options.join(', ')}`);
+      }
+      return option;
+    }
+    case 'multiselect': {
+      const values = [...new Set((Array.isArray(value) ? value : [value]).map(String))];
+      const invalid = values.filter(option => !field.options.includes(option));
+      if (invalid.length > 0) {
+        throw badRequest(`Invalid option(s) for '${field.name}': ${invalid.join(', ')}. Allowed: ${field.options.join(', ')}`);
+      }
+      return values;
+    }
+    case 'user': {
+      const userId = String(value);
+      if (!mongoose.isValidObjectId(userId) || !getProjectRole(project, userId)) {
+        throw badRequest(`'${field.name}' must be a member of the project`);
+      }
+      return userId;
+    }
+    default:
+      throw badRequest(`Unsupported field type '${field.type}'`);
+  }
+};
+
+/**
+ * Validate custom field values sent for a task
+ *
+ * @param {Object} project - Project document (custom field definitions and members)
+ * @param {Object} values - { fieldKey: value }, null or '' clears a value
+ * @param {Object} current - Values the task has now (empty when creating)
+ * @returns {{ set: Object, unset: Array<string> }} values to store and keys to clear
+ */
+export const validateCustomFieldValues = (project, values = {}, current = {}) => {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw badRequest('customFields must be an object of field keys and values');
+  }
+
+  const fields = project.customFields || [];
+  const set = {};
+  const unset = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    const field = fields.find(f => f.key === key);
+    if (!field) {
+      throw badRequest(`Unknown custom field '${key}'`);
+    }
+
+    if (isEmpty(value)) {
+      unset.push(key);
+    } else {
+      set[key] = castValue(field, value, project);
+    }
+  });
+
+  // Required fields must end up with a value
+  const missing = fields
+    .filter(field => field.required)
+    .filter(field => (set[field.key] === undefined && (unset.includes(field.key) || isEmpty(current[field.key]))));
+
+  if (missing.length > 0) {
+    throw badRequest(`Required custom field(s) missing: ${missing.map(field => field.name).join(', ')}`);
+  }
+
+  return { set, unset };
+};
+
+/**
+ * Build filters on custom field values from `cf.<key>` query parameters
+ *
+ * cf.<key>=a,b              value is one of (multiselect: contains one of)
+ * cf.<key>.min / .max       number and date ranges (inclusive)
+ *
+ * @param {Object} query - Express req.query
+ * @param {Array} fields - Custom field definitions of the queried project
+ */
+export const buildCustomFieldFilter = (query, fields) => {
+  const conditions = [];
+
+  Object.entries(query)
+    .filter(([param]) => param.startsWith('cf.'))
+    .forEach(([param, rawValue]) => {
+      const [, key, bound] = param.split('.');
+      const field = fields && fields.find(f => f.key === key);
+
+      if (!field) {
+        throw badRequest(`Unknown custom field '${key}'`);
+      }
+
+      const path = `customFields.${key}`;
+
+      if (bound) {
+        if (!['min', 'max'].includes(bound) || !['number', 'date'].includes(field.type)) {
+          throw badRequest(`'${param}' is not a valid filter`);
+        }
+        const value = castValue(field, rawValue, null);
+        conditions.push({ [path]: { [bound === 'min' ? '$gte' : '$lte']: value } });
+        return;
+      }
+
+      const values = (Array.isArray(rawValue) ? rawValue : String(rawValue).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean)
+        .map(value => (field.type === 'user' ? value : castValue(field.type === 'multiselect' ? { ...field, type: 'select' } : field, value, null)));
+
+      if (values.length) {
+        conditions.push({ [path]: { $in: values } });
+      }
+    });
+
+  return conditions;
+};
+
+/**
+ * Format a custom field value for exports (users resolved through `userNames`)
+ */
+export const formatCustomFieldValue = (field, value, userNames = {}) => {
+  if (isEmpty(value)) return '';
+
+  switch (field.type) {
+    case 'date':
+      return new Date(value).toISOString().slice(0, 10);
+    case 'multiselect':
+      return value.join('; ');
+    case 'user':
+      return userNames[value] || value;
+    default:
+      return value;
+  }
+};
@@ -0,0 +1,8 @@
+/**
+ * Create an error the global error handler turns into a 400 response
+ */
+export const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
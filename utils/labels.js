@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { badRequest } from './httpError.js';
+
+export const LABEL_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const DEFAULT_LABEL_COLOR = '#6b7280';
+const MAX_LABELS = 100;
+
+/**
+ * Validate a label's name and color, keeping names unique (case-insensitive) within the project
+ * @param {Object} input - { name, color }
+ * @param {Array} labels - Labels of the project
+ * @param {Object} current - Label being updated (omit when creating)
+ */
+export const parseLabel = (input, labels = [], current = null) => {
+  const name = input.name !== undefined ? String(input.name).trim() : current && current.name;
+  const color = input.color !== undefined ? String(input.color).trim() : (current ? current.color : DEFAULT_LABEL_COLOR);
+
+  if (!name) {
+    throw badRequest('Label name is required');
+  }
+
+  if (name.length > 30) {
+    throw badRequest('Label name cannot exceed 30 characters');
+  }
+
+  if (!LABEL_COLOR_PATTERN.test(color)) {
+    throw badRequest('Label color must be a hex color such as #1e90ff');
+  }
+
+  const duplicate = labels.find(label => label.name.toLowerCase() === name.toLowerCase()
+    && (!current || label._id.toString() !== current._id.toString()));
+  if (duplicate) {
+    throw badRequest(`A label named '${duplicate.name}' already exists`);
+  }
+
+  if (!current && labels.length >= MAX_LABELS) {
+    throw badRequest(`A project cannot have more than ${MAX_LABELS} labels`);
+  }
+
+  return { name, color: color.toLowerCase() };
+};
+
+/**
+ * Check that label IDs belong to the project and return them deduplicated
+ * @param {Object} project - Project document
+ * @param {Array<string>|string} labelIds - Label IDs
+ */
+export const resolveLabelIds = (project, labelIds) => {
+  const ids = [...new Set((Array.isArray(labelIds) ? labelIds : [labelIds]).map(String))];
+  const known = new Set((project.labels || []).map(label => label._id.toString()));
+
+  const unknown = ids.filter(id => !mongoose.isValidObjectId(id) || !known.has(id));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown label(s) for this project: ${unknown.join(', ')}`);
+  }
+
+  return ids.map(id => new mongoose.Types.ObjectId(id));
+};
@@ -0,0 +1,78 @@
+/**
+ * Project-scoped roles, from most to least privileged.
+ * The project creator is always treated as Owner.
+ */
+export const PROJECT_ROLES = ['Owner', 'Project Manager', 'Team Member', 'Viewer'];
+
+// Roles that can be given to members (ownership comes from creating the project)
+export const ASSIGNABLE_ROLES = ['Project Manager', 'Team Member', 'Viewer'];
+
+const ALL_ROLES = PROJECT_ROLES;
+const MANAGERS = ['Owner', 'Project Manager'];
+const CONTRIBUTORS = ['Owner', 'Project Manager', 'Team Member'];
+
+/**
+ * Permission matrix: permission -> roles allowed to use it
+ */
+export const PERMISSIONS = {
+  'project:view': ALL_ROLES,
+  'project:update': MANAGERS,
+  'project:delete': ['Owner'],
+  'project:manage-members': MANAGERS,
+
+  'task:create': MANAGERS,
+  'task:edit': MANAGERS, // every field of a task
+  'task:update-status': CONTRIBUTORS, // status and progress only
+  'task:delete': MANAGERS,
+  'task:link': CONTRIBUTORS, // add and remove links between tasks
+  'task:label': CONTRIBUTORS, // attach and detach labels
+
+  'comment:create': CONTRIBUTORS,
+  'comment:moderate': MANAGERS, // delete other people's comments
+
+  'worklog:create': CONTRIBUTORS,
+  'worklog:moderate': MANAGERS, // edit other people's worklogs and see their timesheets
+
+  'attachment:upload': CONTRIBUTORS,
+  'attachment:moderate': MANAGERS, // delete other people's attachments
+
+  'sprint:manage': MANAGERS,
+
+  'analytics:view': ALL_ROLES,
+  'analytics:team': MANAGERS
+};
+
+/**
+ * Get the role of a user in a project, or null if they are not a member
+ * @param {Object} project - Project document (members may be populated)
+ * @param {string} userId - User ID
+ */
+export const getProjectRole = (project, userId) => {
+  if (!project || !userId) return null;
+
+  const creatorId = (project.createdBy._id || project.createdBy).toString();
+  if (creatorId === userId.toString()) {
+    return 'Owner';
+  }
+
+  const member = project.members.find(
+    m => m.user && (m.user._id || m.user).toString() === userId.toString()
+  );
+
+  return member ? member.role : null;
+};
+
+/**
+ * Check whether a project role grants a permission
+ * @param {string} role - Project role
+ * @param {string} permission - Permission from the PERMISSIONS matrix
+ */
+export const hasPermission = (role, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission '${permission}'`);
+  }
+
+  return Boolean(role) && allowedRoles.includes(role);
+};
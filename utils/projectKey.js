@@ -0,0 +1,72 @@
+import Project from '../models/Project.js';
+
+export const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// Task keys look like PROJ-123
+export const TASK_KEY_PATTERN = /^([A-Z][A-Z0-9]{1,9})-(\d+)$/;
+
+/**
+ * Derive a key base from a project name:
+ * initials for multi-word names ("Mobile App Redesign" -> MAR),
+ * the first letters otherwise ("Backend" -> BACK)
+ */
+const keyBaseFromName = (name) => {
+  const words = String(name || '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(Boolean);
+
+  let base = words.length > 1
+    ? words.map(word => word[0]).join('').slice(0, 5)
+    : (words[0] || '').slice(0, 4);
+
+  // Keys must start with a letter and be at least two characters long
+  base = base.replace(/^[0-9]+/, '');
+  if (base.length < 2) {
+    base = `${base}PRJ`.slice(0, 3);
+  }
+
+  return base;
+};
+
+/**
+ * Generate a project key from its name that no other project uses yet
+ * Collisions get a numeric suffix (MAR, MAR2, MAR3, ...)
+ */
+export const generateProjectKey = async (name) => {
+  const base = keyBaseFromName(name);
+
+  for (let suffix = 1; ; suffix += 1) {
+    const candidate = suffix === 1 ? base : `${base.slice(0, 10 - String(suffix).length)}${suffix}`;
+    if (!(await Project.exists({ key: candidate }))) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Reserve the next task number of a project
+ * The sequence is incremented atomically so concurrent creates never share a number.
+ * Projects created before keys existed get one generated on their first new task.
+ *
+ * @returns {Promise<{ number: number, key: string }>}
+ */
+export const reserveTaskKey = async (projectId) => {
+  const existing = await Project.findById(projectId).select('name key');
+
+  if (existing && !existing.key) {
+    const key = await generateProjectKey(existing.name);
+    await Project.updateOne({ _id: projectId, key: { $exists: false } }, { $set: { key } });
+  }
+
+  const project = await Project.findByIdAndUpdate(
+    projectId,
+    { $inc: { taskSequence: 1 } },
+    { new: true }
+  ).select('key taskSequence');
+
+  return {
+    number: project.taskSequence,
+    key: `${project.key}-${project.taskSequence}`
+  };
+};
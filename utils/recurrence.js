@@ -0,0 +1,275 @@
+import Task from '../models/Task.js';
+import { badRequest } from './httpError.js';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// RRULE weekday codes, indexed like Date#getUTCDay (0 = Sunday)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL = 365;
+
+const parseWeekday = (value) => {
+  const index = typeof value === 'number'
+    ? value
+    : WEEKDAY_CODES.indexOf(String(value).trim().slice(0, 2).toUpperCase());
+
+  if (!Number.isInteger(index) || index < 0 || index > 6) {
+    throw badRequest(`Invalid weekday "${value}" (use 0-6 or ${WEEKDAY_CODES.join(', ')})`);
+  }
+  return index;
+};
+
+const parseRRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw badRequest(`Invalid UNTIL date "${value}"`);
+  }
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Read an RRULE string (RFC 5545 subset: FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT)
+ * into the object form accepted by parseRecurrence
+ */
+const parseRRule = (rrule) => {
+  const parts = String(rrule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const input = {};
+
+  parts.forEach(part => {
+    const [name, value] = part.split('=');
+    if (!value) {
+      throw badRequest(`Invalid RRULE part "${part}"`);
+    }
+
+    switch (name.toUpperCase()) {
+      case 'FREQ':
+        input.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        input.interval = value;
+        break;
+      case 'BYDAY':
+        if (value.split(',').some(day => !/^[A-Z]{2}$/i.test(day))) {
+          throw badRequest('BYDAY only supports plain weekdays (e.g. MO,WE,FR)');
+        }
+        input.weekdays = value.split(',');
+        break;
+      case 'BYMONTHDAY':
+        input.monthDay = value;
+        break;
+      case 'UNTIL':
+        input.until = parseRRuleDate(value);
+        break;
+      case 'COUNT':
+        input.count = value;
+        break;
+      default:
+        throw badRequest(`Unsupported RRULE part "${name}"`);
+    }
+  });
+
+  return input;
+};
+
+/**
+ * Build the RRULE string of a recurrence rule
+ */
+export const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.weekdays && rule.weekdays.length) parts.push(`BYDAY=${rule.weekdays.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  if (rule.monthDay) parts.push(`BYMONTHDAY=${rule.monthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Validate a recurrence rule, given either as an RRULE string, `{ rrule }`, or
+ * `{ frequency, interval, weekdays, monthDay, until, count }`
+ * @returns {Object} the rule to store on the task
+ */
+export const parseRecurrence = (input) => {
+  if (typeof input === 'string') {
+    input = parseRRule(input);
+  } else if (input && typeof input === 'object' && input.rrule) {
+    input = parseRRule(input.rrule);
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw badRequest('Recurrence must be an object or an RRULE string');
+  }
+
+  const frequency = String(input.frequency || '').toLowerCase();
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw badRequest(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = input.interval !== undefined && input.interval !== null ? Number(input.interval) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw badRequest(`Recurrence interval must be a whole number between 1 and ${MAX_INTERVAL}`);
+  }
+
+  const rule = { frequency, interval, weekdays: [], monthDay: null, until: null, count: null };
+
+  if (input.weekdays !== undefined && input.weekdays !== null) {
+    if (frequency !== 'weekly') {
+      throw badRequest('Weekdays can only be set on a weekly recurrence');
+    }
+    const weekdays = Array.isArray(input.weekdays) ? input.weekdays : [input.weekdays];
+    rule.weekdays = [...new Set(weekdays.map(parseWeekday))].sort();
+  }
+
+  if (input.monthDay !== undefined && input.monthDay !== null) {
+    if (frequency !== 'monthly') {
+      throw badRequest('A day of the month can only be set on a monthly recurrence');
+    }
+    const monthDay = Number(input.monthDay);
+    if (!Number.isInteger(monthDay) || !((monthDay >= 1 && monthDay <= 31) || monthDay === -1)) {
+      throw badRequest('Day of the month must be between 1 and 31, or -1 for the last day');
+    }
+    rule.monthDay = monthDay;
+  }
+
+  if (input.until && input.count) {
+    throw badRequest('A recurrence can end on a date (until) or after a number of tasks (count), not both');
+  }
+
+  if (input.until) {
+    const until = new Date(input.until);
+    if (Number.isNaN(until.getTime())) {
+      throw badRequest('Invalid recurrence end date');
+    }
+    rule.until = until;
+  }
+
+  if (input.count) {
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1) {
+      throw badRequest('Recurrence count must be a positive whole number');
+    }
+    rule.count = count;
+  }
+
+  rule.rrule = toRRule(rule);
+  return rule;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Monday of the week of a date, for weekly intervals
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Date of the first occurrence strictly after `after`, or null when the rule has ended
+ *
+ * Occurrences keep the time of day of `anchor` (the series' first due date), which also
+ * sets the default weekday / day of the month and where weekly and monthly intervals count from.
+ * The `count` limit is left to the caller, which knows how many tasks the series has.
+ *
+ * @param {Object} rule - Recurrence rule from parseRecurrence
+ * @param {Date} anchor - Due date of the first task of the series
+ * @param {Date} after
+ */
+export const getNextOccurrence = (rule, anchor, after) => {
+  anchor = new Date(anchor);
+  after = new Date(after);
+  const timeOfDay = anchor.getTime() - startOfDay(anchor).getTime();
+  const at = (day) => new Date(startOfDay(day).getTime() + timeOfDay);
+  let next = null;
+
+  if (rule.frequency === 'daily') {
+    const step = rule.interval * DAY_MS;
+    const steps = Math.max(0, Math.floor((after - anchor) / step) + 1);
+    next = new Date(anchor.getTime() + steps * step);
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays && rule.weekdays.length ? rule.weekdays : [anchor.getUTCDay()];
+    const anchorWeek = startOfWeek(anchor);
+    const first = after < anchor ? anchor : after;
+
+    for (let offset = 0; offset <= 7 * (rule.interval + 1); offset += 1) {
+      const candidate = at(new Date(startOfDay(first).getTime() + offset * DAY_MS));
+      const weeks = Math.round((startOfWeek(candidate) - anchorWeek) / (7 * DAY_MS));
+      if (candidate > after && weekdays.includes(candidate.getUTCDay()) && weeks % rule.interval === 0) {
+        next = candidate;
+        break;
+      }
+    }
+  } else if (rule.frequency === 'monthly') {
+    const monthDay = rule.monthDay || anchor.getUTCDate();
+    const anchorMonth = anchor.getUTCFullYear() * 12 + anchor.getUTCMonth();
+    const first = after < anchor ? anchor : after;
+    let month = first.getUTCFullYear() * 12 + first.getUTCMonth();
+
+    for (let tries = 0; tries <= rule.interval + 1; month += 1) {
+      if ((month - anchorMonth) % rule.interval !== 0) continue;
+      tries += 1;
+
+      const year = Math.floor(month / 12);
+      const lastDay = daysInMonth(year, month % 12);
+      const day = monthDay === -1 ? lastDay : Math.min(monthDay, lastDay);
+      const candidate = at(new Date(Date.UTC(year, month % 12, day)));
+      if (candidate > after) {
+        next = candidate;
+        break;
+      }
+    }
+  }
+
+  if (!next || (rule.until && next > rule.until)) return null;
+  return next;
+};
+
+/**
+ * Due date of the task after `after` in a series, or null when the series has ended
+ * (past `until`, or `count` tasks created)
+ *
+ * @param {Object} recurrence - Recurrence stored on the first task of the series
+ * @param {Date} after
+ * @param {number} occurrences - Tasks in the series so far
+ */
+export const scheduleNextOccurrence = (recurrence, after, occurrences) => {
+  if (recurrence.count && occurrences >= recurrence.count) return null;
+  return getNextOccurrence(recurrence, recurrence.anchor, after);
+};
+
+/**
+ * Build the recurrence to store on the first task of a series. When the rule of an existing
+ * series changes, it restarts from the series' latest task and keeps counting its tasks.
+ *
+ * @param {Object} task - First task of the series (null when creating it)
+ * @param {Object|string} input - Rule, see parseRecurrence
+ * @param {Date} dueDate - Due date of the first task
+ */
+export const buildSeriesRecurrence = async (task, input, dueDate) => {
+  const rule = parseRecurrence(input);
+  if (!dueDate) {
+    throw badRequest('A recurring task needs a due date');
+  }
+
+  let anchor = new Date(dueDate);
+  let occurrences = 1;
+
+  if (task) {
+    const latest = await Task.findOne({ series: task._id }).sort('-dueDate').select('dueDate');
+    if (latest && latest.dueDate > anchor) anchor = latest.dueDate;
+    occurrences += await Task.countDocuments({ series: task._id });
+  }
+
+  const recurrence = { ...rule, anchor, occurrences };
+  recurrence.nextOccurrence = scheduleNextOccurrence(recurrence, anchor, occurrences);
+  return recurrence;
+};
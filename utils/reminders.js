@@ -0,0 +1,57 @@
+import { badRequest } from './httpError.js';
+
+const MAX_HOURS = 720;
+
+/**
+ * Server-wide defaults, used by projects that do not set their own values
+ */
+export const getDefaultReminderSettings = () => ({
+  enabled: process.env.REMINDERS_ENABLED !== 'false',
+  leadHours: Number(process.env.REMINDER_LEAD_HOURS) || 24,
+  escalationHours: Number(process.env.OVERDUE_ESCALATION_HOURS) || 48
+});
+
+/**
+ * Reminder settings of a project, falling back to the server defaults
+ */
+export const getReminderSettings = (project) => {
+  const defaults = getDefaultReminderSettings();
+  const settings = (project && project.reminders) || {};
+
+  return {
+    enabled: typeof settings.enabled === 'boolean' ? settings.enabled : defaults.enabled,
+    leadHours: settings.leadHours || defaults.leadHours,
+    escalationHours: settings.escalationHours || defaults.escalationHours
+  };
+};
+
+/**
+ * Validate reminder settings sent to update a project (null resets a value to the default)
+ * @returns {Object} fields to set, by path
+ */
+export const parseReminderSettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw badRequest('Reminders must be an object');
+  }
+
+  const fields = {};
+
+  if (input.enabled !== undefined) {
+    if (input.enabled !== null && typeof input.enabled !== 'boolean') {
+      throw badRequest('Reminders `enabled` must be true or false');
+    }
+    fields['reminders.enabled'] = input.enabled;
+  }
+
+  ['leadHours', 'escalationHours'].forEach(name => {
+    if (input[name] === undefined) return;
+
+    const value = input[name] === null ? null : Number(input[name]);
+    if (value !== null && (!Number.isFinite(value) || value < 1 || value > MAX_HOURS)) {
+      throw badRequest(`Reminders \`${name}\` must be between 1 and ${MAX_HOURS} hours`);
+    }
+    fields[`reminders.${name}`] = value;
+  });
+
+  return fields;
+};
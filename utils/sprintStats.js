@@ -0,0 +1,320 @@
+import Task from '../models/Task.js';
+import TaskHistory from '../models/TaskHistory.js';
+import User from '../models/User.js';
+import { isDoneStatus } from './workflow.js';
+
+/**
+ * Count tasks, story points and estimated hours of a sprint, in total and done
+ *
+ * @param {Object} sprint - Sprint document
+ * @param {Object} workflow - Workflow of the sprint's project
+ */
+export const getSprintTaskStats = async (sprint, workflow) => {
+  const tasks = await Task.find({ sprint: sprint._id, isActive: true })
+    .select('status storyPoints estimatedHours');
+
+  const stats = {
+    totalTasks: tasks.length,
+    completedTasks: 0,
+    totalPoints: 0,
+    completedPoints: 0,
+    unestimatedTasks: 0,
+    estimatedHours: 0,
+    completedHours: 0,
+    tasksByStatus: []
+  };
+  const byStatus = new Map();
+
+  tasks.forEach(task => {
+    const done = isDoneStatus(workflow, task.status);
+    const points = task.storyPoints || 0;
+
+    byStatus.set(task.status, (byStatus.get(task.status) || 0) + 1);
+    stats.totalPoints += points;
+    stats.estimatedHours += task.estimatedHours || 0;
+    if (task.storyPoints === null || task.storyPoints === undefined) stats.unestimatedTasks += 1;
+
+    if (done) {
+      stats.completedTasks += 1;
+      stats.completedPoints += points;
+      stats.completedHours += task.estimatedHours || 0;
+    }
+  });
+
+  stats.tasksByStatus = [...byStatus].map(([status, count]) => ({ _id: status, count }));
+  stats.completionPercentage = stats.totalTasks > 0
+    ? Math.round((stats.completedTasks / stats.totalTasks) * 100)
+    : 0;
+
+  return stats;
+};
+
+/**
+ * Snapshot the work a sprint starts with, to compare with what gets done
+ */
+export const takeCommitmentSnapshot = async (sprint) => {
+  const tasks = await Task.find({ sprint: sprint._id, isActive: true })
+    .select('storyPoints estimatedHours');
+
+  return {
+    takenAt: new Date(),
+    tasks: tasks.length,
+    points: tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0),
+    estimatedHours: tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0),
+    taskIds: tasks.map(task => task._id)
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much work a task counts for in each burndown unit
+const UNIT_VALUES = {
+  count: () => 1,
+  hours: state => state.estimatedHours || 0,
+  points: state => state.storyPoints || 0
+};
+
+export const BURNDOWN_UNITS = Object.keys(UNIT_VALUES);
+
+// Task fields replayed from the history to know a task's state on a given day
+const REPLAYED_FIELDS = ['sprint', 'status', 'estimatedHours', 'storyPoints'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build the timeline of a task: its values when it was created, then every change in order
+ * (the initial values are found by undoing the recorded changes from the current ones)
+ */
+const buildTimeline = (task, entries) => {
+  const initial = {
+    sprint: task.sprint ? task.sprint.toString() : null,
+    status: task.status,
+    estimatedHours: task.estimatedHours,
+    storyPoints: task.storyPoints
+  };
+
+  const events = [];
+  entries.forEach(entry => {
+    const changes = entry.changes.filter(change => REPLAYED_FIELDS.includes(change.field));
+    if (changes.length) events.push({ at: entry.createdAt, changes });
+  });
+
+  [...events].reverse().forEach(event => {
+    event.changes.forEach(change => { initial[change.field] = change.oldValue; });
+  });
+
+  return { createdAt: task.createdAt, initial, events };
+};
+
+/**
+ * State of a task at a point in time, or null if it did not exist yet
+ */
+const stateAt = (timeline, time) => {
+  if (timeline.createdAt > time) return null;
+
+  const state = { ...timeline.initial };
+  for (const event of timeline.events) {
+    if (event.at > time) break;
+    event.changes.forEach(change => { state[change.field] = change.newValue; });
+  }
+  return state;
+};
+
+/**
+ * Daily burndown and burnup series of a sprint, rebuilt from task history so that
+ * tasks added to or removed from the sprint on a given day count from that day only
+ *
+ * @param {Object} sprint - Sprint document
+ * @param {Object} workflow - Workflow of the sprint's project
+ * @param {string} unit - 'count', 'hours' (estimated) or 'points'
+ */
+export const buildBurndown = async (sprint, workflow, unit) => {
+  const sprintId = sprint._id.toString();
+  const valueOf = UNIT_VALUES[unit];
+
+  // Tasks in the sprint now, and tasks that were moved in or out of it at some point
+  const movedTaskIds = await TaskHistory.distinct('task', {
+    project: sprint.project,
+    changes: { $elemMatch: { field: 'sprint', $or: [{ oldValue: sprintId }, { newValue: sprintId }] } }
+  });
+
+  const tasks = await Task.find({
+    isActive: true,
+    $or: [{ sprint: sprint._id }, { _id: { $in: movedTaskIds } }]
+  }).select('sprint status estimatedHours storyPoints createdAt');
+
+  const entries = await TaskHistory.find({ task: { $in: tasks.map(task => task._id) } })
+    .select('task changes createdAt')
+    .sort('createdAt');
+
+  const entriesByTask = new Map();
+  entries.forEach(entry => {
+    const id = entry.task.toString();
+    if (!entriesByTask.has(id)) entriesByTask.set(id, []);
+    entriesByTask.get(id).push(entry);
+  });
+
+  const timelines = tasks.map(task => buildTimeline(task, entriesByTask.get(task._id.toString()) || []));
+
+  const measure = (time) => {
+    let scope = 0;
+    let remaining = 0;
+    timelines.forEach(timeline => {
+      const state = stateAt(timeline, time);
+      if (!state || String(state.sprint) !== sprintId) return;
+
+      const value = valueOf(state);
+      scope += value;
+      if (!isDoneStatus(workflow, state.status)) remaining += value;
+    });
+    return { scope: round(scope), remaining: round(remaining) };
+  };
+
+  // Completed sprints stop just before their unfinished tasks were moved out
+  const cutoff = sprint.report && sprint.report.completedAt
+    ? new Date(sprint.report.completedAt.getTime() - 1)
+    : new Date();
+
+  const firstDay = startOfDay(sprint.startDate);
+  const lastDay = startOfDay(sprint.endDate);
+  const dayCount = Math.round((lastDay - firstDay) / DAY_MS) + 1;
+
+  // The ideal line starts from the work in the sprint when it started
+  const startedAt = sprint.commitment && sprint.commitment.takenAt ? sprint.commitment.takenAt : sprint.startDate;
+  const baseline = measure(new Date(Math.min(new Date(startedAt).getTime(), cutoff.getTime()))).scope;
+
+  const days = [];
+  let previousScope = baseline;
+
+  for (let index = 0; index < dayCount; index += 1) {
+    const day = new Date(firstDay.getTime() + index * DAY_MS);
+    const endOfDay = new Date(day.getTime() + DAY_MS - 1);
+    const point = {
+      date: day.toISOString().slice(0, 10),
+      ideal: round(baseline * (1 - (index + 1) / dayCount))
+    };
+
+    // Days that have not happened yet only have the ideal line
+    if (day <= cutoff) {
+      const { scope, remaining } = measure(endOfDay < cutoff ? endOfDay : cutoff);
+      Object.assign(point, {
+        remaining,
+        completed: round(scope - remaining),
+        scope,
+        scopeChange: round(scope - previousScope)
+      });
+      previousScope = scope;
+    }
+
+    days.push(point);
+  }
+
+  return { unit, baseline, days };
+};
+
+export const CAPACITY_UNITS = ['hours', 'points'];
+
+/**
+ * Compare each member's capacity in a sprint with the work assigned to them
+ *
+ * @param {Object} sprint - Sprint document
+ * @param {Object} workflow - Workflow of the sprint's project
+ * @returns {Promise<Object>} { unit, members, unassigned, totals, warnings }
+ */
+export const getCapacityBreakdown = async (sprint, workflow) => {
+  const unit = (sprint.capacity && sprint.capacity.unit) || 'hours';
+  const valueOf = unit === 'points'
+    ? task => task.storyPoints || 0
+    : task => task.estimatedHours || 0;
+
+  const tasks = await Task.find({ sprint: sprint._id, isActive: true })
+    .select('assignedTo status estimatedHours storyPoints');
+
+  const planned = (sprint.capacity && sprint.capacity.members) || [];
+  const memberIds = new Set([
+    ...planned.map(member => member.user.toString()),
+    ...tasks.filter(task => task.assignedTo).map(task => task.assignedTo.toString())
+  ]);
+  const users = await User.find({ _id: { $in: [...memberIds] } }).select('name email avatar');
+
+  const rows = new Map(users.map(user => [user._id.toString(), {
+    user,
+    capacity: null,
+    allocated: 0,
+    remaining: 0,
+    tasks: 0
+  }]));
+  planned.forEach(member => {
+    const row = rows.get(member.user.toString());
+    if (row) row.capacity = member.capacity;
+  });
+
+  const unassigned = { allocated: 0, tasks: 0 };
+  tasks.forEach(task => {
+    const value = valueOf(task);
+    const row = task.assignedTo ? rows.get(task.assignedTo.toString()) : null;
+    if (!row) {
+      unassigned.allocated += value;
+      unassigned.tasks += 1;
+      return;
+    }
+    row.allocated += value;
+    row.tasks += 1;
+    if (!isDoneStatus(workflow, task.status)) row.remaining += value;
+  });
+
+  const warnings = [];
+  const members = [...rows.values()].map(row => {
+    const utilization = row.capacity ? Math.round((row.allocated / row.capacity) * 100) : null;
+
+    if (row.capacity === null && row.allocated > 0) {
+      warnings.push({
+        type: 'no_capacity',
+        user: row.user._id,
+        message: `${row.user.name} has ${round(row.allocated)} ${unit} assigned but no capacity set`
+      });
+    } else if (row.capacity !== null && row.allocated > row.capacity) {
+      warnings.push({
+        type: 'over_allocated',
+        user: row.user._id,
+        message: `${row.user.name} is over-allocated: ${round(row.allocated)} of ${row.capacity} ${unit}`
+      });
+    }
+
+    return {
+      ...row,
+      allocated: round(row.allocated),
+      remaining: round(row.remaining),
+      available: row.capacity !== null ? round(row.capacity - row.allocated) : null,
+      utilization
+    };
+  });
+
+  if (unassigned.tasks > 0) {
+    warnings.push({
+      type: 'unassigned_work',
+      message: `${unassigned.tasks} task(s) in the sprint are not assigned (${round(unassigned.allocated)} ${unit})`
+    });
+  }
+
+  const capacity = members.reduce((sum, member) => sum + (member.capacity || 0), 0);
+  const allocated = members.reduce((sum, member) => sum + member.allocated, 0) + unassigned.allocated;
+
+  return {
+    unit,
+    members,
+    unassigned: { ...unassigned, allocated: round(unassigned.allocated) },
+    totals: {
+      capacity: round(capacity),
+      allocated: round(allocated),
+      available: round(capacity - allocated)
+    },
+    warnings
+  };
+};
@@ -0,0 +1,34 @@
+import createLocalStorage from './localStorage.js';
+import createS3Storage from './s3Storage.js';
+
+// Available storage drivers, selected with STORAGE_DRIVER (defaults to local)
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storagePromise = null;
+
+/**
+ * Get the configured storage driver
+ * Every driver exposes: save(key, buffer, mimeType), getStream(key), remove(key)
+ */
+export const getStorage = () => {
+  if (!storagePromise) {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      return Promise.reject(new Error(`Unknown STORAGE_DRIVER "${driverName}"`));
+    }
+
+    storagePromise = Promise.resolve(createDriver()).catch(error => {
+      storagePromise = null;
+      throw error;
+    });
+  }
+
+  return storagePromise;
+};
+
+export default getStorage;
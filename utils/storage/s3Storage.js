@@ -0,0 +1,57 @@
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...)
+ * Requires the optional `@aws-sdk/client-s3` package
+ */
+const createS3Storage = async () => {
+  let sdk;
+  try {
+    sdk = await import('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package. Run: npm install @aws-sdk/client-s3');
+  }
+
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = sdk;
+  const bucket = process.env.S3_BUCKET;
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is not configured in environment variables');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    ...(process.env.S3_ENDPOINT && {
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: true
+    }),
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    })
+  });
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, mimeType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+      }));
+    },
+
+    async getStream(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+export default createS3Storage;
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { badRequest } from './httpError.js';
+
+export const ISSUE_TYPES = ['Epic', 'Story', 'Task', 'Bug', 'Subtask'];
+
+// Issue types a task of each type can be nested under (null = top level)
+export const ALLOWED_PARENT_TYPES = {
+  Epic: [null],
+  Story: [null, 'Epic'],
+  Task: [null, 'Epic'],
+  Bug: [null, 'Epic'],
+  Subtask: ['Story', 'Task', 'Bug']
+};
+
+/**
+ * Check that a task of `issueType` can sit under `parent` (a task document or null)
+ */
+const assertParentType = (issueType, parent) => {
+  const allowed = ALLOWED_PARENT_TYPES[issueType];
+  const parentType = parent ? parent.issueType || 'Task' : null;
+
+  if (!allowed.includes(parentType)) {
+    if (!parent) {
+      throw badRequest(`A ${issueType} needs a parent (${allowed.join(', ')})`);
+    }
+    const choices = allowed.filter(Boolean);
+    throw badRequest(
+      choices.length
+        ? `A ${issueType} can only be nested under: ${choices.join(', ')}`
+        : `A ${issueType} cannot have a parent`
+    );
+  }
+};
+
+/**
+ * Validate the issue type and parent a task will have after a create or update
+ * Throws a 400 error for unknown types, parents in other projects, type mismatches and cycles
+ *
+ * @param {Object} options
+ * @param {Object|null} options.task - Task being updated (null when creating)
+ * @param {string} options.projectId - Project of the task
+ * @param {string} options.issueType - Issue type after the change
+ * @param {string|null} options.parentId - Parent ID after the change
+ * @returns {Promise<Object|null>} The parent task
+ */
+export const validateHierarchy = async ({ task = null, projectId, issueType, parentId }) => {
+  if (!ISSUE_TYPES.includes(issueType)) {
+    throw badRequest(`Invalid issue type '${issueType}'. Allowed: ${ISSUE_TYPES.join(', ')}`);
+  }
+
+  let parent = null;
+
+  if (parentId) {
+    parent = mongoose.isValidObjectId(parentId)
+      ? await Task.findOne({ _id: parentId, isActive: true }).select('project issueType parent title')
+      : null;
+
+    if (!parent) {
+      throw badRequest('Parent task not found');
+    }
+
+    if (parent.project.toString() !== projectId.toString()) {
+      throw badRequest('Parent task must belong to the same project');
+    }
+
+    // Walk up from the new parent: reaching the task itself would close a cycle
+    if (task) {
+      let ancestor = parent;
+      while (ancestor) {
+        if (ancestor._id.toString() === task._id.toString()) {
+          throw badRequest('A task cannot be nested under itself or one of its subtasks');
+        }
+        ancestor = ancestor.parent
+          ? await Task.findById(ancestor.parent).select('parent')
+          : null;
+      }
+    }
+  }
+
+  assertParentType(issueType, parent);
+
+  // Existing children must still be allowed under the task's new type
+  if (task && issueType !== (task.issueType || 'Task')) {
+    const childTypes = await Task.distinct('issueType', { parent: task._id, isActive: true });
+    const invalid = childTypes.filter(childType => !ALLOWED_PARENT_TYPES[childType || 'Task'].includes(issueType));
+    if (invalid.length > 0) {
+      throw badRequest(`Cannot change to ${issueType}: it has children of type ${invalid.join(', ')}`);
+    }
+  }
+
+  return parent;
+};
+
+/**
+ * Load every active descendant of a task, level by level
+ */
+export const findDescendants = async (taskId, select = '') => {
+  const descendants = [];
+  const seen = new Set([taskId.toString()]);
+  let parentIds = [taskId];
+
+  while (parentIds.length > 0) {
+    const children = (await Task.find({ parent: { $in: parentIds }, isActive: true }).select(select))
+      .filter(child => !seen.has(child._id.toString()));
+    children.forEach(child => seen.add(child._id.toString()));
+    descendants.push(...children);
+    parentIds = children.map(child => child._id);
+  }
+
+  return descendants;
+};
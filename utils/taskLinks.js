@@ -0,0 +1,219 @@
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import TaskLink from '../models/TaskLink.js';
+import { getProjectRole, hasPermission } from './permissions.js';
+import { getStatusCategory, isDoneStatus, loadWorkflows } from './workflow.js';
+
+/**
+ * Link types clients can create, from the point of view of the task the link is added to
+ * `inverse` ones are stored the other way round (A is blocked by B = B blocks A)
+ */
+export const LINK_TYPES = {
+  blocks: { type: 'blocks', inverse: false },
+  is_blocked_by: { type: 'blocks', inverse: true },
+  relates_to: { type: 'relates_to', inverse: false },
+  duplicates: { type: 'duplicates', inverse: false },
+  is_duplicated_by: { type: 'duplicates', inverse: true }
+};
+
+// How a stored link reads from its source (outward) and its target (inward)
+export const LINK_LABELS = {
+  blocks: { outward: 'blocks', inward: 'is blocked by' },
+  relates_to: { outward: 'relates to', inward: 'relates to' },
+  duplicates: { outward: 'duplicates', inward: 'is duplicated by' }
+};
+
+/**
+ * Keep the tasks that are not in a done status of their own project
+ */
+const filterOpenTasks = async (tasks) => {
+  const workflows = await loadWorkflows([...new Set(tasks.map(task => task.project.toString()))]);
+  return tasks.filter(task => !isDoneStatus(workflows.get(task.project.toString()), task.status));
+};
+
+/**
+ * Find the tasks blocking a task that are still open
+ */
+export const findOpenBlockers = async (taskId) => {
+  const links = await TaskLink.find({ target: taskId, type: 'blocks' }).select('source');
+  if (links.length === 0) return [];
+
+  const blockers = await Task.find({ _id: { $in: links.map(link => link.source) }, isActive: true })
+    .select('key title status project');
+
+  return filterOpenTasks(blockers);
+};
+
+/**
+ * IDs of the projects of `tasks` in which a user has `project:view`
+ */
+const getViewableProjectIds = async (tasks, userId) => {
+  const projectIds = [...new Set(tasks.map(task => task.project.toString()))];
+  const projects = await Project.find({ _id: { $in: projectIds } }).select('createdBy members');
+
+  return new Set(projects
+    .filter(project => hasPermission(getProjectRole(project, userId), 'project:view'))
+    .map(project => project._id.toString()));
+};
+
+/**
+ * Check a status change against the task's open blockers:
+ * moving to a done status is refused, starting work (in progress) only warns.
+ * Blockers in projects the user cannot view are only counted (hiddenBlockers).
+ *
+ * @param {string} userId - User making the move
+ * @returns {Promise<{ errors: Array, warnings: Array }>} errors use the workflow rule format
+ */
+export const checkBlockers = async (task, workflow, from, to, userId) => {
+  const result = { errors: [], warnings: [] };
+  const category = getStatusCategory(workflow, to);
+
+  if (from === to || (category !== 'done' && category !== 'in_progress')) {
+    return result;
+  }
+
+  const blockers = await findOpenBlockers(task._id);
+  if (blockers.length === 0) return result;
+
+  const viewableProjects = await getViewableProjectIds(blockers, userId);
+  const visible = blockers.filter(blocker => viewableProjects.has(blocker.project.toString()));
+  const hiddenBlockers = blockers.length - visible.length;
+
+  const blockedBy = visible.map(blocker => ({ _id: blocker._id, key: blocker.key, title: blocker.title, status: blocker.status }));
+  const names = [
+    ...visible.map(blocker => blocker.key || blocker.title),
+    ...(hiddenBlockers > 0 ? [`${hiddenBlockers} task(s) in projects you cannot access`] : [])
+  ].join(', ');
+
+  if (category === 'done') {
+    result.errors.push({
+      rule: 'blocked',
+      field: 'status',
+      message: `Task is blocked by open tasks: ${names}`,
+      blockedBy,
+      hiddenBlockers
+    });
+  } else {
+    result.warnings.push({
+      type: 'blocked',
+      message: `Task is still blocked by open tasks: ${names}`,
+      blockedBy,
+      hiddenBlockers
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Whether `sourceId` blocking `targetId` would close a loop of blocking links,
+ * i.e. the target already blocks the source directly or through other tasks
+ */
+export const wouldCreateBlockingCycle = async (sourceId, targetId) => {
+  const source = sourceId.toString();
+  const seen = new Set([targetId.toString()]);
+  let frontier = [targetId];
+
+  while (frontier.length > 0) {
+    const links = await TaskLink.find({ source: { $in: frontier }, type: 'blocks' }).select('target');
+    frontier = [];
+
+    for (const link of links) {
+      const id = link.target.toString();
+      if (id === source) return true;
+      if (!seen.has(id)) {
+        seen.add(id);
+        frontier.push(link.target);
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Find open tasks of a project held up by chains of open blockers
+ * Each chain lists the blockers from the nearest to the furthest upstream (longest path),
+ * and only the most downstream task of every chain in the project is reported.
+ * Blockers in projects the user cannot view are left out of the chain and only counted (hiddenBlockers).
+ *
+ * @param {string} userId - User the chains are reported to
+ * @returns {Promise<Array<{ task: Object, chain: Array<Object>, hiddenBlockers: number }>>} longest chains first
+ */
+export const findBlockedChains = async (projectId, userId) => {
+  const linksByTarget = new Map();
+  const tasks = new Map();
+  const seenTargets = new Set();
+
+  // Walk upstream from every task of the project that is blocked, across projects
+  let frontier = await TaskLink.find({ targetProject: projectId, type: 'blocks' }).select('source target');
+
+  while (frontier.length > 0) {
+    frontier.forEach(link => {
+      const target = link.target.toString();
+      if (!linksByTarget.has(target)) linksByTarget.set(target, []);
+      linksByTarget.get(target).push(link.source.toString());
+      seenTargets.add(target);
+    });
+
+    const upstream = [...new Set(frontier.map(link => link.source.toString()))]
+      .filter(id => !seenTargets.has(id));
+    frontier = upstream.length
+      ? await TaskLink.find({ target: { $in: upstream }, type: 'blocks' }).select('source target')
+      : [];
+    upstream.forEach(id => seenTargets.add(id));
+  }
+
+  const ids = new Set([...linksByTarget.keys(), ...[...linksByTarget.values()].flat()]);
+  const loaded = await Task.find({ _id: { $in: [...ids] }, isActive: true }).select('key title status project');
+  (await filterOpenTasks(loaded)).forEach(task => tasks.set(task._id.toString(), task));
+
+  // Longest chain of open blockers above a task (memoized, loops cut)
+  const memo = new Map();
+  const longestChain = (id, visiting = new Set()) => {
+    if (memo.has(id)) return memo.get(id);
+    visiting.add(id);
+
+    let best = [];
+    (linksByTarget.get(id) || [])
+      .filter(sourceId => tasks.has(sourceId) && !visiting.has(sourceId))
+      .forEach(sourceId => {
+        const chain = [sourceId, ...longestChain(sourceId, visiting)];
+        if (chain.length > best.length) best = chain;
+      });
+
+    visiting.delete(id);
+    memo.set(id, best);
+    return best;
+  };
+
+  const isProjectTask = (id) => tasks.has(id) && tasks.get(id).project.toString() === projectId.toString();
+
+  // Tasks of the project that block another open, blocked task of the project are part of a longer chain
+  const blockingInProject = new Set();
+  linksByTarget.forEach((sources, target) => {
+    if (isProjectTask(target)) {
+      sources.forEach(source => blockingInProject.add(source));
+    }
+  });
+
+  const viewableProjects = await getViewableProjectIds([...tasks.values()], userId);
+  const isVisible = (task) => viewableProjects.has(task.project.toString());
+  const summarize = (task) => ({ id: task._id, key: task.key, title: task.title, status: task.status });
+
+  return [...linksByTarget.keys()]
+    .filter(id => isProjectTask(id) && !blockingInProject.has(id))
+    .map(id => {
+      const chain = longestChain(id).map(sourceId => tasks.get(sourceId));
+      const visible = chain.filter(isVisible);
+      return {
+        task: summarize(tasks.get(id)),
+        chain: visible.map(summarize),
+        hiddenBlockers: chain.length - visible.length,
+        length: chain.length
+      };
+    })
+    .filter(entry => entry.length > 0)
+    .sort((a, b) => b.length - a.length)
+    .map(({ length, ...entry }) => entry);
+};
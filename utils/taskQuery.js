@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { openTaskFilter } from './workflow.js';
+import { buildCustomFieldFilter } from './customFields.js';
+import { badRequest } from './httpError.js';
+
+// Fields tasks can be sorted by (prefix with '-' for descending). Priority is left out:
+// its values would sort alphabetically (High, Low, Medium) instead of by severity
+export const SORTABLE_FIELDS = ['position', 'number', 'dueDate', 'createdAt', 'updatedAt', 'status', 'title', 'estimatedHours', 'storyPoints'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Split a comma-separated query value into a list
+ */
+const toList = (value) => {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const toObjectIds = (values, name) => values.map(value => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw badRequest(`Invalid ${name} '${value}'`);
+  }
+  return new mongoose.Types.ObjectId(value);
+});
+
+const toDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a MongoDB filter from task list query parameters
+ *
+ * status, priority         comma-separated values
+ * assignee                 user IDs, 'me' or 'unassigned'
+ * sprint                   sprint IDs or 'backlog' (no sprint)
+ * issueType                comma-separated issue types
+ * parent                   parent task IDs or 'none' (top-level tasks)
+ * labels                   label IDs (tasks with any of them) or 'none' (unlabelled tasks)
+ * dueFrom, dueTo           due date range (inclusive)
+ * overdue=true             past due and not in a done status of the task's project
+ * q                        text contained in title or description, or a task key (PROJ-123)
+ * cf.<key>                 custom field values, with .min/.max ranges (see utils/customFields.js)
+ *
+ * @param {Object} query - Express req.query
+ * @param {string} userId - Current user ID (for assignee=me)
+ * @param {Map<string, Object>} workflows - Workflows of the queried projects (for overdue)
+ * @param {Array} customFields - Custom field definitions of the queried project (for cf.*)
+ */
+export const buildTaskFilter = (query, userId, workflows = new Map(), customFields = []) => {
+  const conditions = [];
+
+  const statuses = toList(query.status);
+  if (statuses.length) {
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const priorities = toList(query.priority);
+  if (priorities.length) {
+    conditions.push({ priority: { $in: priorities } });
+  }
+
+  const assignees = toList(query.assignee);
+  if (assignees.length) {
+    const includeUnassigned = assignees.includes('unassigned');
+    const ids = toObjectIds(
+      assignees
+        .filter(value => value !== 'unassigned')
+        .map(value => (value === 'me' ? userId : value)),
+      'assignee'
+    );
+    conditions.push({
+      assignedTo: { $in: includeUnassigned ? [...ids, null] : ids }
+    });
+  }
+
+  const sprints = toList(query.sprint);
+  if (sprints.length) {
+    const includeBacklog = sprints.includes('backlog');
+    const ids = toObjectIds(sprints.filter(value => value !== 'backlog'), 'sprint');
+    conditions.push({
+      sprint: { $in: includeBacklog ? [...ids, null] : ids }
+    });
+  }
+
+  const issueTypes = toList(query.issueType);
+  if (issueTypes.length) {
+    conditions.push({ issueType: { $in: issueTypes } });
+  }
+
+  const parents = toList(query.parent);
+  if (parents.length) {
+    const includeTopLevel = parents.includes('none');
+    const ids = toObjectIds(parents.filter(value => value !== 'none'), 'parent');
+    conditions.push({
+      parent: { $in: includeTopLevel ? [...ids, null] : ids }
+    });
+  }
+
+  const labels = toList(query.labels);
+  if (labels.length) {
+    const ids = toObjectIds(labels.filter(value => value !== 'none'), 'label');
+    conditions.push(labels.includes('none')
+      ? { $or: [{ labels: { $in: ids } }, { 'labels.0': { $exists: false } }] }
+      : { labels: { $in: ids } });
+  }
+
+  if (query.dueFrom || query.dueTo) {
+    const dueDate = {};
+    if (query.dueFrom) dueDate.$gte = toDate(query.dueFrom, 'dueFrom');
+    if (query.dueTo) dueDate.$lte = toDate(query.dueTo, 'dueTo');
+    conditions.push({ dueDate });
+  }
+
+  if (query.overdue === 'true') {
+    conditions.push({ dueDate: { $lt: new Date() } });
+    conditions.push(openTaskFilter(workflows));
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const text = String(query.q).trim();
+    const pattern = new RegExp(escapeRegex(text), 'i');
+    conditions.push({ $or: [{ title: pattern }, { description: pattern }, { key: text.toUpperCase() }] });
+  }
+
+  conditions.push(...buildCustomFieldFilter(query, customFields));
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+/**
+ * Parse the `sort` query parameter (single field, '-' prefix for descending)
+ */
+export const parseSort = (value, defaultSort) => {
+  if (value !== undefined && typeof value !== 'string') {
+    throw badRequest('Only one sort field can be given');
+  }
+
+  const sort = value || defaultSort;
+  const field = sort.replace(/^-/, '');
+
+  if (!SORTABLE_FIELDS.includes(field)) {
+    throw badRequest(`Cannot sort by '${field}'. Allowed: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  return { field, direction: sort.startsWith('-') ? -1 : 1 };
+};
+
+/**
+ * Encode the position of the last task of a page (missing values are encoded as null)
+ */
+export const encodeCursor = (task, field) => {
+  const value = task[field] === undefined ? null : task[field];
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: task._id.toString()
+  })).toString('base64url');
+};
+
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') {
+    throw badRequest('Invalid cursor');
+  }
+
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+};
+
+/**
+ * Filter for the tasks after a cursor in `{ [field]: direction, _id: direction }` order
+ *
+ * MongoDB sorts null and missing values before every other value, and range operators
+ * never match them, so the null group needs its own branches: ascending, it comes first
+ * and is followed by every non-null value; descending, it comes last.
+ */
+export const buildCursorFilter = (field, direction, cursor) => {
+  const { value, id } = decodeCursor(cursor);
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameGroup = { [field]: null, _id: { [op]: id } };
+    return direction === 1
+      ? { $or: [sameGroup, { [field]: { $ne: null } }] }
+      : sameGroup;
+  }
+
+  const branches = [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }];
+  if (direction === -1) branches.push({ [field]: null });
+  return { $or: branches };
+};
+
+/**
+ * Run a paginated task query
+ *
+ * Pagination modes:
+ * - page/limit      offset pagination, returns page and pages
+ * - cursor/limit    keyset pagination, returns nextCursor (pass cursor= for the first page)
+ * - neither         first page of 50 tasks, as with page=1
+ * - `all` option    every matching task, for internal callers such as exports (never from the query,
+ *                   so clients cannot get around MAX_LIMIT)
+ *
+ * @param {Object} baseFilter - Filter every result must match (project, isActive, ...)
+ * @param {Object} query - Express req.query
+ * @param {Object} options - { userId, workflows, customFields, defaultSort, all, prepare: (query) => query with select/populate applied }
+ */
+export const findTasks = async (baseFilter, query, options = {}) => {
+  const { userId, workflows, customFields, defaultSort = 'position', all = false, prepare = q => q } = options;
+
+  const filter = { ...baseFilter, ...buildTaskFilter(query, userId, workflows, customFields) };
+  const { field, direction } = parseSort(query.sort, defaultSort);
+  const sort = { [field]: direction, _id: direction };
+
+  const useCursor = !all && query.page === undefined && (query.cursor !== undefined || query.limit !== undefined);
+  const usePages = !all && !useCursor;
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const total = await Task.countDocuments(filter);
+  let findFilter = filter;
+
+  if (useCursor && query.cursor) {
+    findFilter = { $and: [filter, buildCursorFilter(field, direction, query.cursor)] };
+  }
+
+  const tasksQuery = prepare(Task.find(findFilter)).sort(sort);
+
+  if (usePages) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const tasks = await tasksQuery.skip((page - 1) * limit).limit(limit);
+    return { tasks, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  if (useCursor) {
+    // Fetch one extra task to know whether there is a next page
+    const tasks = await tasksQuery.limit(limit + 1);
+    const hasMore = tasks.length > limit;
+    const pageTasks = hasMore ? tasks.slice(0, limit) : tasks;
+    return {
+      tasks: pageTasks,
+      total,
+      nextCursor: hasMore ? encodeCursor(pageTasks[pageTasks.length - 1], field) : null
+    };
+  }
+
+  return { tasks: await tasksQuery, total };
+};
@@ -0,0 +1,334 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import { PROJECT_ROLES } from './permissions.js';
+import { badRequest } from './httpError.js';
+
+// Categories give custom statuses a meaning analytics can rely on
+export const STATUS_CATEGORIES = ['todo', 'in_progress', 'review', 'done'];
+
+/**
+ * Rules checked when a task changes status:
+ * - required_field  the task must have `field` set (not empty; 0 counts as set except for
+ *                   fields that default to 0), and at least `min` for numeric fields
+ * - restrict_roles  only members with one of `roles` may make the move
+ * A rule applies to moves matching all of its from / fromCategory / to / toCategory conditions
+ */
+export const RULE_TYPES = ['required_field', 'restrict_roles'];
+
+// Task fields a required_field rule can check
+export const REQUIRABLE_FIELDS = ['assignedTo', 'description', 'dueDate', 'sprint', 'estimatedHours', 'actualHours', 'storyPoints'];
+
+// Requirable fields a required_field rule can give a `min` for
+export const NUMERIC_FIELDS = ['estimatedHours', 'actualHours', 'storyPoints'];
+
+// Fields that default to 0, where 0 means the value was never filled in
+const ZERO_DEFAULT_FIELDS = ['estimatedHours', 'actualHours'];
+
+// Workflow of projects that never customized theirs
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: 'To Do', category: 'todo' },
+    { name: 'In Progress', category: 'in_progress' },
+    { name: 'Review', category: 'review' },
+    { name: 'Done', category: 'done' }
+  ],
+  transitions: [],
+  rules: []
+};
+
+/**
+ * Get the workflow of a project, falling back to the default one
+ * Statuses are returned in column order
+ */
+export const getWorkflow = (project) => {
+  const workflow = project && project.workflow;
+
+  if (!workflow || !workflow.statuses || workflow.statuses.length === 0) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  return {
+    statuses: workflow.statuses.map(({ name, category }) => ({ name, category })),
+    transitions: (workflow.transitions || []).map(({ from, to }) => ({ from, to })),
+    rules: (workflow.rules || []).map(rule => (rule.toObject ? rule.toObject() : { ...rule }))
+  };
+};
+
+/**
+ * Status new tasks start in (first column)
+ */
+export const getInitialStatus = (workflow) => workflow.statuses[0].name;
+
+export const getStatusCategory = (workflow, status) => {
+  const definition = workflow.statuses.find(s => s.name === status);
+  return definition ? definition.category : null;
+};
+
+export const getStatusesInCategory = (workflow, category) => workflow.statuses
+  .filter(s => s.category === category)
+  .map(s => s.name);
+
+export const getDoneStatuses = (workflow) => getStatusesInCategory(workflow, 'done');
+
+export const isDoneStatus = (workflow, status) => getStatusCategory(workflow, status) === 'done';
+
+/**
+ * Throw a 400 error unless `status` exists in the workflow
+ */
+export const assertStatus = (workflow, status) => {
+  if (!workflow.statuses.some(s => s.name === status)) {
+    throw badRequest(
+      `Invalid status '${status}'. Allowed: ${workflow.statuses.map(s => s.name).join(', ')}`
+    );
+  }
+};
+
+const ruleMatches = (workflow, rule, from, to) => (
+  (!rule.from || rule.from === from)
+  && (!rule.fromCategory || getStatusCategory(workflow, from) === rule.fromCategory)
+  && (!rule.to || rule.to === to)
+  && (!rule.toCategory || getStatusCategory(workflow, to) === rule.toCategory)
+);
+
+// 0 is a real value (e.g. a 0-point task), except on fields that start at 0
+const isMissing = (field, value) => (
+  value === undefined
+  || value === null
+  || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0)
+  || (value === 0 && ZERO_DEFAULT_FIELDS.includes(field))
+);
+
+const checkRequiredField = (rule, task, to) => {
+  const value = task[rule.field];
+
+  if (isMissing(rule.field, value)) {
+    return rule.message || `'${rule.field}' is required to move a task to '${to}'`;
+  }
+
+  if (rule.min !== undefined && rule.min !== null && value < rule.min) {
+    return rule.message || `'${rule.field}' must be at least ${rule.min} to move a task to '${to}'`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a status change against the project's workflow
+ * Returns one entry per failed check, empty when the move is allowed:
+ * { rule: 'status' | 'transition' | 'required_field' | 'restrict_roles', field?, message }
+ *
+ * @param {Object} workflow - From getWorkflow
+ * @param {Object} task - Task values the move would leave the task with
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Project role of the user making the move
+ */
+export const validateStatusChange = (workflow, task, from, to, role) => {
+  if (!workflow.statuses.some(s => s.name === to)) {
+    return [{
+      rule: 'status',
+      field: 'status',
+      message: `Invalid status '${to}'. Allowed: ${workflow.statuses.map(s => s.name).join(', ')}`
+    }];
+  }
+
+  if (from === to) return [];
+
+  const errors = [];
+
+  // Without transitions every move is allowed
+  if (workflow.transitions.length > 0 && !workflow.transitions.some(t => t.from === from && t.to === to)) {
+    const allowed = workflow.transitions.filter(t => t.from === from).map(t => t.to);
+    errors.push({
+      rule: 'transition',
+      field: 'status',
+      message: `Cannot move task from '${from}' to '${to}'.${allowed.length ? ` Allowed: ${allowed.join(', ')}` : ''}`
+    });
+  }
+
+  workflow.rules
+    .filter(rule => ruleMatches(workflow, rule, from, to))
+    .forEach(rule => {
+      const failure = rule.type === 'required_field' && checkRequiredField(rule, task, to);
+      if (failure) {
+        errors.push({
+          rule: rule.type,
+          field: rule.field,
+          message: failure
+        });
+      }
+
+      if (rule.type === 'restrict_roles' && !rule.roles.includes(role)) {
+        errors.push({
+          rule: rule.type,
+          field: 'status',
+          message: rule.message || `Only ${rule.roles.join(' or ')} can move a task from '${from}' to '${to}'`
+        });
+      }
+    });
+
+  return errors;
+};
+
+/**
+ * Validate and normalize a workflow definition sent by a client
+ * A status may carry `previousName` to rename an existing status
+ * Statuses referenced by transitions and rules use the new names
+ *
+ * @returns {{ workflow: Object, renames: Object }} renames maps old status names to new ones
+ */
+export const parseWorkflow = (definition) => {
+  const { statuses, transitions = [], rules = [] } = definition || {};
+
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    throw badRequest('A workflow needs at least one status');
+  }
+
+  if (!Array.isArray(transitions) || !Array.isArray(rules)) {
+    throw badRequest('Transitions and rules must be arrays');
+  }
+
+  const renames = {};
+  const parsedStatuses = statuses.map((status) => {
+    const name = String((status && status.name) || '').trim();
+
+    if (!name || name.length > 50) {
+      throw badRequest('Status names must be between 1 and 50 characters');
+    }
+
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      throw badRequest(`Invalid category '${status.category}' for status '${name}'. Allowed: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+
+    if (status.previousName && status.previousName !== name) {
+      renames[status.previousName] = name;
+    }
+
+    return { name, category: status.category };
+  });
+
+  const names = parsedStatuses.map(s => s.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw badRequest(`Duplicate status '${duplicate}'`);
+  }
+
+  if (!parsedStatuses.some(s => s.category === 'done')) {
+    throw badRequest('At least one status must be in the done category');
+  }
+
+  const parsedTransitions = transitions.map((transition) => {
+    const { from, to } = transition || {};
+    if (!names.includes(from) || !names.includes(to)) {
+      throw badRequest(`Transition '${from}' -> '${to}' references an unknown status`);
+    }
+    return { from, to };
+  });
+
+  const parsedRules = rules.map((rule) => {
+    const { type, from, to, fromCategory, toCategory, field, min, roles, message } = rule || {};
+
+    if (!RULE_TYPES.includes(type)) {
+      throw badRequest(`Invalid rule type '${type}'. Allowed: ${RULE_TYPES.join(', ')}`);
+    }
+
+    [from, to].filter(Boolean).forEach(status => {
+      if (!names.includes(status)) {
+        throw badRequest(`Rule references unknown status '${status}'`);
+      }
+    });
+
+    [fromCategory, toCategory].filter(Boolean).forEach(category => {
+      if (!STATUS_CATEGORIES.includes(category)) {
+        throw badRequest(`Rule references unknown category '${category}'`);
+      }
+    });
+
+    const parsed = { type };
+    if (from) parsed.from = from;
+    if (to) parsed.to = to;
+    if (fromCategory) parsed.fromCategory = fromCategory;
+    if (toCategory) parsed.toCategory = toCategory;
+    if (message) parsed.message = String(message).trim();
+
+    if (type === 'required_field') {
+      if (!REQUIRABLE_FIELDS.includes(field)) {
+        throw badRequest(`Invalid required field '${field}'. Allowed: ${REQUIRABLE_FIELDS.join(', ')}`);
+      }
+      parsed.field = field;
+
+      if (min !== undefined && min !== null) {
+        if (!NUMERIC_FIELDS.includes(field)) {
+          throw badRequest(`A minimum can only be set on: ${NUMERIC_FIELDS.join(', ')}`);
+        }
+        if (typeof min !== 'number' || !Number.isFinite(min) || min < 0) {
+          throw badRequest('A required field minimum must be a number of at least 0');
+        }
+        parsed.min = min;
+      }
+    }
+
+    if (type === 'restrict_roles') {
+      if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !PROJECT_ROLES.includes(role))) {
+        throw badRequest(`Restricted roles must be a non-empty list of: ${PROJECT_ROLES.join(', ')}`);
+      }
+      parsed.roles = roles;
+    }
+
+    return parsed;
+  });
+
+  return {
+    workflow: { statuses: parsedStatuses, transitions: parsedTransitions, rules: parsedRules },
+    renames
+  };
+};
+
+/**
+ * Load the workflows of several projects
+ * @returns {Promise<Map<string, Object>>} project ID -> workflow
+ */
+export const loadWorkflows = async (projectIds) => {
+  const projects = await Project.find({ _id: { $in: projectIds } }).select('workflow');
+  return new Map(projects.map(project => [project._id.toString(), getWorkflow(project)]));
+};
+
+/**
+ * Filter matching tasks in a done status of their own project
+ * Projects sharing the same done statuses are grouped into one clause
+ *
+ * @param {Map<string, Object>} workflows - From loadWorkflows
+ */
+export const doneTaskFilter = (workflows) => {
+  const groups = new Map();
+
+  workflows.forEach((workflow, projectId) => {
+    const doneStatuses = getDoneStatuses(workflow);
+    const groupKey = JSON.stringify(doneStatuses);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { statuses: doneStatuses, projects: [] });
+    }
+    groups.get(groupKey).projects.push(projectId);
+  });
+
+  if (groups.size === 0) {
+    // No projects, so no task can be done
+    return { _id: { $exists: false } };
+  }
+
+  return {
+    $or: [...groups.values()].map(group => ({
+      project: { $in: group.projects.map(id => new mongoose.Types.ObjectId(id)) },
+      status: { $in: group.statuses }
+    }))
+  };
+};
+
+/**
+ * Filter matching tasks that are not done yet (see doneTaskFilter)
+ */
+export const openTaskFilter = (workflows) => {
+  const done = doneTaskFilter(workflows);
+  return done.$or ? { $nor: done.$or } : {};
+};
@@ -0,0 +1,74 @@
+import { badRequest } from './httpError.js';
+
+/**
+ * Midnight UTC of a date, so every entry of a day shares the same value
+ */
+export const toDay = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest('Invalid date');
+  }
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Read a duration given as `minutes` or `hours`
+ * @returns {number} whole minutes
+ */
+export const parseDuration = ({ minutes, hours }) => {
+  const value = minutes !== undefined ? Number(minutes) : Number(hours) * 60;
+
+  if (!Number.isFinite(value) || value < 1) {
+    throw badRequest('Duration must be given in minutes or hours and be at least 1 minute');
+  }
+
+  return Math.round(value);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMESHEET_DAYS = 92;
+
+/**
+ * Date range of a timesheet query, defaulting to the current week (Monday to Sunday, UTC)
+ * @returns {{ from: Date, to: Date }} both at midnight UTC, inclusive
+ */
+export const parseTimesheetRange = ({ from, to }) => {
+  const today = toDay(new Date());
+  const monday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+
+  const start = from ? toDay(from) : monday;
+  const end = to ? toDay(to) : new Date(start.getTime() + 6 * DAY_MS);
+
+  if (end < start) {
+    throw badRequest('`to` must be on or after `from`');
+  }
+
+  if ((end - start) / DAY_MS + 1 > MAX_TIMESHEET_DAYS) {
+    throw badRequest(`A timesheet cannot cover more than ${MAX_TIMESHEET_DAYS} days`);
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Split a time span into the minutes it covers on each UTC day, so that a timer
+ * running past midnight becomes one worklog entry per day
+ * @returns {Array<{ date: Date, minutes: number }>} days with at least one whole minute
+ */
+export const splitByDay = (start, end) => {
+  const days = [];
+  let cursor = new Date(start);
+
+  while (cursor < end) {
+    const day = toDay(cursor);
+    const nextDay = new Date(day.getTime() + DAY_MS);
+    const until = nextDay < end ? nextDay : end;
+    const minutes = Math.round((until - cursor) / 60000);
+
+    if (minutes >= 1) days.push({ date: day, minutes });
+    cursor = until;
+  }
+
+  return days;
+};